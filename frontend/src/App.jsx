@@ -1,9 +1,189 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const WEBHOOK_EVENTS = ['run.completed', 'run.failed', 'offer.new', 'offer.changed', 'casino.missing'];
+const ROLES = ['viewer', 'analyst', 'admin'];
+const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
 
-function App() {
+const SESSION_KEY = 'casino-ai-session';
+const SIGNED_OUT_EVENT = 'casino-ai-signed-out';
+
+const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+// fetch() with the session token. A 401 means the session expired or was
+// revoked, so the app goes back to the login screen.
+const authFetch = async (url, options = {}) => {
+  const token = loadSession()?.token;
+  const res = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, ...(token && { Authorization: `Bearer ${token}` }) },
+  });
+  if (res.status === 401) window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+  return res;
+};
+
+// The parsed body of a response. A failed request throws an Error with the
+// API's message, followed by any validation details on their own lines.
+const readJson = async (res) => {
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const { message, details } = data?.error || {};
+    throw new Error([message || `Request failed (${res.status})`, ...(Array.isArray(details) ? details : [])].join('\n'));
+  }
+  return data;
+};
+
+// EventSource and download links can't send headers, so they carry the token in the URL
+const withAccessToken = (url) => {
+  const token = loadSession()?.token;
+  return token ? `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}` : url;
+};
+
+// ---- List paging & sorting ----
+
+const PAGE_SIZES = [25, 50, 100, 200];
+
+const EMPTY_OFFER_FILTERS = {
+  q: '', offerType: '', source: '', verified: '',
+  minBonus: '', maxBonus: '', minDeposit: '', maxDeposit: '', discoveredFrom: '', discoveredTo: '',
+};
+
+// Only the parameters that are set; `discoveredTo` covers the whole day
+const listParams = ({ discoveredTo, ...params }) => Object.fromEntries(
+  Object.entries({ ...params, discoveredTo: discoveredTo && `${discoveredTo}T23:59:59.999` })
+    .filter(([, value]) => value !== '' && value != null)
+);
+
+const sortKeys = (sort) => (sort ? sort.split(',') : []);
+
+// Estimated LLM spend; single calls cost fractions of a cent
+const formatCost = (usd) => (usd == null ? '—' : `$${usd.toFixed(usd < 1 ? 4 : 2)}`);
+
+// The budget field of a scope form as the API takes it: a number, or left out
+const withBudget = ({ budgetUsd, ...scope }) => ({ ...scope, ...(Number(budgetUsd) > 0 && { budgetUsd: Number(budgetUsd) }) });
+
+// A click sorts by the column, or reverses it if it already leads; a
+// shift-click adds it (or reverses it) as a further sort key
+function nextSort(sort, field, additive) {
+  const keys = sortKeys(sort);
+  const current = keys.find(key => key.replace(/^-/, '') === field);
+  const toggled = current === field ? `-${field}` : field;
+  if (!additive) return current === keys[0] ? toggled : field;
+  return current ? keys.map(key => (key === current ? toggled : key)).join(',') : [...keys, field].join(',');
+}
+
+function SortableHeader({ label, field, sort, onSort }) {
+  const keys = sortKeys(sort);
+  const index = keys.findIndex(key => key.replace(/^-/, '') === field);
+  const arrow = index === -1 ? '' : keys[index].startsWith('-') ? ' ▼' : ' ▲';
+  return (
+    <th className="sortable" onClick={(e) => onSort(nextSort(sort, field, e.shiftKey))} title="Click to sort, shift-click to add a sort">
+      {label}{arrow}{index > 0 && keys.length > 1 ? <sup>{index + 1}</sup> : null}
+    </th>
+  );
+}
+
+function Pager({ paging, onPage, onLimit }) {
+  const { page, pages, total, limit } = paging;
+  return (
+    <div className="pager">
+      <button className="btn btn-small" onClick={() => onPage(page - 1)} disabled={page <= 1}>← Prev</button>
+      <span>Page {page} of {pages} · {total} total</span>
+      <button className="btn btn-small" onClick={() => onPage(page + 1)} disabled={page >= pages}>Next →</button>
+      <select value={limit} onChange={(e) => onLimit(Number(e.target.value))}>
+        {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+      </select>
+    </div>
+  );
+}
+
+// Sign in, or create the first admin on a fresh install
+function Login({ onSignIn }) {
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [form, setForm] = useState({ email: '', name: '', password: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/auth/status`)
+      .then(readJson)
+      .then(data => setSetupRequired(Boolean(data.setupRequired)))
+      .catch(error => console.error('Error checking auth status:', error));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/api/auth/${setupRequired ? 'setup' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(setupRequired ? form : { email: form.email, password: form.password }),
+      });
+      const data = await readJson(res);
+      onSignIn(data);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="app">
+      <header className="header">
+        <h1>🎰 Casino & Offer AI Researcher</h1>
+        <p>Intelligent casino discovery and promotional offer analysis</p>
+      </header>
+      <div className="container">
+        <form className="login-form tab-content" onSubmit={handleSubmit}>
+          <h2>{setupRequired ? 'Create the first admin' : 'Sign in'}</h2>
+          <input
+            type="email"
+            value={form.email}
+            onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+            placeholder="Email"
+            autoComplete="username"
+            required
+          />
+          {setupRequired && (
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name (optional)"
+            />
+          )}
+          <input
+            type="password"
+            value={form.password}
+            onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+            placeholder={setupRequired ? 'Password (at least 8 characters)' : 'Password'}
+            autoComplete={setupRequired ? 'new-password' : 'current-password'}
+            required
+          />
+          {error && <p className="login-error">{error}</p>}
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting ? 'Signing in...' : setupRequired ? 'Create admin' : 'Sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function Dashboard({ user, onSessionRenewed, onSignOut }) {
+  const isAdmin = hasRole(user, 'admin');
+  const canReview = hasRole(user, 'analyst');
   const [activeTab, setActiveTab] = useState('dashboard');
   const [summary, setSummary] = useState(null);
   const [researches, setResearches] = useState([]);
@@ -12,26 +192,72 @@ function App() {
   const [offers, setOffers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selectedState, setSelectedState] = useState('NJ');
+  const [casinoQuery, setCasinoQuery] = useState({ q: '', active: '', discovered: '', sort: 'state,name', page: 1, limit: 50 });
+  const [casinoSearch, setCasinoSearch] = useState('');
+  const [casinoPaging, setCasinoPaging] = useState({ page: 1, pages: 1, total: 0, limit: 50 });
+  const [offerQuery, setOfferQuery] = useState({ ...EMPTY_OFFER_FILTERS, sort: '-valueScore', page: 1, limit: 50 });
+  const [offerFilters, setOfferFilters] = useState(EMPTY_OFFER_FILTERS);
+  const [offerPaging, setOfferPaging] = useState({ page: 1, pages: 1, total: 0, limit: 50 });
+  const [offerTypes, setOfferTypes] = useState([]);
+  const [offerHistory, setOfferHistory] = useState(null);
+  const [diffSelection, setDiffSelection] = useState([]);
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [reviewNotes, setReviewNotes] = useState({});
+  const [schedules, setSchedules] = useState([]);
+  const [newSchedule, setNewSchedule] = useState({
+    name: '', cron: '0 6 * * *', states: [], phases: ['discovery', 'offers'], dryRun: false, budgetUsd: '', forceRefresh: false,
+  });
+  const [baselineSources, setBaselineSources] = useState([]);
+  const [newSource, setNewSource] = useState({ name: '', type: 'file', url: '', recordsPath: '', fieldMap: '' });
+  const [webhooks, setWebhooks] = useState([]);
+  const [newWebhook, setNewWebhook] = useState({ name: '', url: '', events: ['run.completed', 'offer.new'] });
+  const [createdWebhookSecret, setCreatedWebhookSecret] = useState(null);
+  const [webhookDeliveries, setWebhookDeliveries] = useState(null);
+  const [apiKeys, setApiKeys] = useState([]);
+  const [newApiKey, setNewApiKey] = useState({ name: '', role: '' });
+  const [createdApiKey, setCreatedApiKey] = useState(null);
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '' });
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState({ email: '', name: '', password: '', role: 'viewer' });
+  const [runDiff, setRunDiff] = useState(null);
   const [researchProgress, setResearchProgress] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
   const [analysisResults, setAnalysisResults] = useState({});
+  const [analysisJob, setAnalysisJob] = useState(null);
+  const [jurisdictions, setJurisdictions] = useState([]);
+  const [runScope, setRunScope] = useState({ states: [], phases: ['discovery', 'offers'], dryRun: false, budgetUsd: '', forceRefresh: false });
+  const [llmUsage, setLlmUsage] = useState(null);
+  const eventSourceRef = useRef(null);
+  const logContainerRef = useRef(null);
+  const analysisPollRef = useRef(null);
+  const finishRunRef = useRef(null);
 
   // Fetch dashboard summary
-  const fetchSummary = async () => {
+  const fetchSummary = useCallback(async () => {
     try {
-      const res = await fetch(`${API_URL}/api/dashboard/summary`);
-      const data = await res.json();
+      const res = await authFetch(`${API_URL}/api/dashboard/summary`);
+      const data = await readJson(res);
       setSummary(data);
     } catch (error) {
       console.error('Error fetching summary:', error);
     }
+  }, []);
+
+  // LLM spend over the last 30 days, per state
+  const fetchLlmUsage = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/llm-usage?days=30`);
+      setLlmUsage(await readJson(res));
+    } catch (error) {
+      console.error('Error fetching LLM usage:', error);
+    }
   };
 
   // Fetch research history
-  const fetchResearches = async () => {
+  const fetchResearches = useCallback(async () => {
     try {
-      const res = await fetch(`${API_URL}/api/research/runs`);
-      const data = await res.json();
+      const res = await authFetch(`${API_URL}/api/research/runs`);
+      const data = await readJson(res);
       setResearches(data);
       if (data.length > 0) {
         setCurrentResearch(data[0]);
@@ -39,120 +265,755 @@ function App() {
     } catch (error) {
       console.error('Error fetching researches:', error);
     }
-  };
+  }, []);
 
-  // Fetch casinos
+  // Fetch jurisdictions for the state filters
+  const fetchJurisdictions = useCallback(async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/jurisdictions`);
+      const data = await readJson(res);
+      setJurisdictions(data);
+    } catch (error) {
+      console.error('Error fetching jurisdictions:', error);
+    }
+  }, []);
+
+  // Fetch a page of casinos
   const fetchCasinos = async () => {
     try {
-      const url = selectedState 
-        ? `${API_URL}/api/casinos?state=${selectedState}`
-        : `${API_URL}/api/casinos`;
-      const res = await fetch(url);
-      const data = await res.json();
-      setCasinos(data);
+      const params = new URLSearchParams(listParams({ ...casinoQuery, state: selectedState }));
+      const res = await authFetch(`${API_URL}/api/casinos?${params}`);
+      const { items, ...paging } = await readJson(res);
+      setCasinos(items);
+      setCasinoPaging(paging);
     } catch (error) {
       console.error('Error fetching casinos:', error);
     }
   };
 
-  // Fetch offers
+  // Fetch a page of offers
   const fetchOffers = async () => {
     try {
-      const url = selectedState
-        ? `${API_URL}/api/offers?state=${selectedState}`
-        : `${API_URL}/api/offers`;
-      const res = await fetch(url);
-      const data = await res.json();
-      setOffers(data);
+      const params = new URLSearchParams(listParams({ ...offerQuery, state: selectedState }));
+      const res = await authFetch(`${API_URL}/api/offers?${params}`);
+      const { items, ...paging } = await readJson(res);
+      setOffers(items);
+      setOfferPaging(paging);
     } catch (error) {
       console.error('Error fetching offers:', error);
     }
   };
 
+  const fetchOfferTypes = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/offers/types`);
+      setOfferTypes(await readJson(res));
+    } catch (error) {
+      console.error('Error fetching offer types:', error);
+    }
+  };
+
+  // Filters and sorts start again from the first page
+  const updateCasinoQuery = (changes) => setCasinoQuery(prev => ({ ...prev, page: 1, ...changes }));
+  const updateOfferQuery = (changes) => setOfferQuery(prev => ({ ...prev, page: 1, ...changes }));
+
+  const handleStateFilter = (state) => {
+    setSelectedState(state);
+    updateCasinoQuery({});
+    updateOfferQuery({});
+  };
+
+  // Download links for an export endpoint, one per format, using the same filters as the list
+  const renderExportLinks = (path, params = {}) => (
+    <span className="export-links">
+      {['csv', 'xlsx', 'json'].map((format) => {
+        const query = new URLSearchParams({ ...listParams(params), format });
+        return (
+          <a key={format} className="btn btn-small" href={withAccessToken(`${API_URL}${path}?${query}`)} download>
+            ⬇️ {format.toUpperCase()}
+          </a>
+        );
+      })}
+    </span>
+  );
+
   // Initialize - fetch existing offers
+  // Previews the sync first so removals can be checked before they're applied
   const handleInitialize = async () => {
     setLoading(true);
     try {
-      const res = await fetch(`${API_URL}/api/research/init`, { method: 'POST' });
-      const data = await res.json();
-      alert(`Initialized! Imported ${data.offersImported} offers from ${data.casinos} casinos`);
+      const previewRes = await authFetch(`${API_URL}/api/research/init?preview=true`, { method: 'POST' });
+      const preview = await readJson(previewRes);
+      const planned = preview.sources.map(source => (source.status === 'completed'
+        ? `${source.name}: +${source.offers.added} new, ${source.offers.updated} changed, ` +
+          `${source.offers.deactivated} to mark inactive (${source.casinos.deactivated} casinos)` +
+          (source.skippedCount ? `, ${source.skippedCount} records skipped` : '')
+        : `${source.name}: failed - ${source.error}`));
+      if (!confirm(['Sync the internal baseline?', ...planned].join('\n'))) return;
+
+      const res = await authFetch(`${API_URL}/api/research/init`, { method: 'POST' });
+      const data = await readJson(res);
+      alert([
+        data.success ? 'Initialized!' : 'Initialized with errors',
+        ...data.sources.map(source => (source.status === 'completed'
+          ? `${source.name}: ${source.offersImported} offers from ${source.casinosImported} casinos ` +
+            `(+${source.offers.added}, ${source.offers.updated} changed, ${source.offers.deactivated} inactive)`
+          : `${source.name}: failed - ${source.error}`)),
+      ].join('\n'));
       fetchSummary();
       fetchCasinos();
       fetchOffers();
     } catch (error) {
       console.error('Error initializing:', error);
-      alert('Error initializing');
+      alert(`Error initializing: ${error.message}`);
     } finally {
       setLoading(false);
     }
   };
 
-  // Run research
-  const handleRunResearch = async () => {
+  // Called once a followed run reaches a terminal status
+  const finishRun = async (runId, status) => {
+    const runData = await authFetch(`${API_URL}/api/research/runs/${runId}`).then(readJson);
+    setCurrentResearch(runData);
+    fetchSummary();
+    fetchLlmUsage();
+    fetchCasinos();
+    fetchOffers();
+    fetchResearches();
+    alert(`Research ${status}!${runData.failureReason ? `\n${runData.failureReason}` : ''}`);
+    setResearchProgress(null);
+    setLoading(false);
+  };
+  // The stream outlives the render that opened it, so it finishes through
+  // whichever finishRun (and list filters) is current when the run ends
+  useEffect(() => {
+    finishRunRef.current = finishRun;
+  });
+
+  // Follow a run's live progress over Server-Sent Events. EventSource
+  // reconnects on its own and sends Last-Event-ID, so only missed log lines
+  // are replayed after a dropped connection.
+  const subscribeToRun = useCallback((runId, status = 'in-progress') => {
+    eventSourceRef.current?.close();
+    setLoading(status !== 'paused');
+    setResearchProgress({ runId, status, logs: [] });
+
+    const source = new EventSource(withAccessToken(`${API_URL}/api/research/runs/${runId}/events`));
+    eventSourceRef.current = source;
+
+    source.addEventListener('log', (event) => {
+      const { line } = JSON.parse(event.data);
+      setResearchProgress(prev => prev && ({ ...prev, logs: [...prev.logs, line], notice: null }));
+    });
+    source.addEventListener('progress', (event) => {
+      const progress = JSON.parse(event.data);
+      setResearchProgress(prev => prev && ({ ...prev, ...progress, notice: null }));
+      setLoading(progress.status !== 'paused');
+    });
+    source.addEventListener('end', (event) => {
+      source.close();
+      eventSourceRef.current = null;
+      finishRunRef.current(runId, JSON.parse(event.data).status);
+    });
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        setResearchProgress(prev => prev && ({
+          ...prev,
+          notice: 'Lost the live progress stream. The run may still be going; reload the page to reconnect.'
+        }));
+        setLoading(false);
+      } else {
+        setResearchProgress(prev => prev && ({ ...prev, notice: 'Reconnecting to live progress...' }));
+      }
+    };
+  }, []);
+
+  // Run research, optionally limited to some states, casinos or phases
+  const handleRunResearch = async (scope = {}) => {
     setLoading(true);
     setResearchProgress({ status: 'starting', logs: [] });
     
     try {
-      const res = await fetch(`${API_URL}/api/research/run`, { method: 'POST' });
-      const data = await res.json();
+      const res = await authFetch(`${API_URL}/api/research/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(withBudget(scope))
+      });
+      const data = await readJson(res);
       alert(`Research started! Run ID: ${data.runId}`);
-      
-      // Poll for completion and progress
-      let completed = false;
-      let attempts = 0;
-      while (!completed && attempts < 200) {
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        const runRes = await fetch(`${API_URL}/api/research/runs/${data.runId}`);
-        const runData = await runRes.json();
-        
-        // Update progress
-        setResearchProgress({
-          status: runData.status,
-          currentState: runData.currentState,
-          currentCasino: runData.currentCasino,
-          casinosProcessed: runData.casinosProcessed,
-          offersProcessed: runData.offersProcessed,
-          logs: runData.progressLog || []
-        });
-        
-        if (runData.status === 'completed' || runData.status === 'failed') {
-          completed = true;
-          setCurrentResearch(runData);
-          fetchSummary();
-          fetchCasinos();
-          fetchOffers();
-          fetchResearches();
-          alert(`Research ${runData.status}!`);
-          setResearchProgress(null);
-        }
-        attempts++;
-      }
+      subscribeToRun(data.runId);
     } catch (error) {
       console.error('Error running research:', error);
-      alert('Error running research');
+      alert(`Error running research: ${error.message}`);
       setResearchProgress(null);
-    } finally {
       setLoading(false);
     }
   };
 
+  // Pause, resume or cancel the run shown in the progress panel. A run that
+  // paused itself at its budget needs a higher one to resume.
+  const handleRunControl = async (action) => {
+    const runId = researchProgress?.runId;
+    if (!runId) return;
+    if (action === 'cancel' && !confirm('Cancel this research run?')) return;
+
+    let body = {};
+    if (action === 'resume' && researchProgress.stopReason === 'budget') {
+      const budget = prompt(`This run has spent ${formatCost(researchProgress.usage?.cost)} and reached its budget. New budget (USD):`);
+      if (!budget) return;
+      body = { budgetUsd: Number(budget) };
+    }
+
+    try {
+      const res = await authFetch(`${API_URL}/api/research/runs/${runId}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await readJson(res);
+      // The event stream stays open while paused and reports the change
+      setResearchProgress(prev => ({ ...prev, status: data.status, controlRequest: data.controlRequest }));
+    } catch (error) {
+      console.error(`Error trying to ${action} research:`, error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const toggleScopeValue = (key, value) => {
+    setRunScope(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value]
+    }));
+  };
+
+  // Fetch schedules
+  const fetchSchedules = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/schedules`);
+      const data = await readJson(res);
+      setSchedules(data);
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+    }
+  };
+
+  const toggleNewScheduleValue = (key, value) => {
+    setNewSchedule(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value]
+    }));
+  };
+
+  // Create a schedule from the Settings form
+  const handleCreateSchedule = async (e) => {
+    e.preventDefault();
+    try {
+      const { name, cron, states, phases, dryRun, budgetUsd, forceRefresh } = newSchedule;
+      const res = await authFetch(`${API_URL}/api/schedules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          cron,
+          scope: withBudget({ states: states.length ? states : undefined, phases, dryRun, budgetUsd, forceRefresh }),
+        }),
+      });
+      await readJson(res);
+      setNewSchedule(prev => ({ ...prev, name: '' }));
+      fetchSchedules();
+    } catch (error) {
+      console.error('Error creating schedule:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleToggleSchedule = async (schedule) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/schedules/${schedule._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !schedule.enabled }),
+      });
+      await readJson(res);
+      fetchSchedules();
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (!confirm(`Delete schedule: ${schedule.name}?`)) return;
+    try {
+      const res = await authFetch(`${API_URL}/api/schedules/${schedule._id}`, { method: 'DELETE' });
+      await readJson(res);
+      fetchSchedules();
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Fetch baseline sources
+  const fetchBaselineSources = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/baseline-sources`);
+      const data = await readJson(res);
+      setBaselineSources(data);
+    } catch (error) {
+      console.error('Error fetching baseline sources:', error);
+    }
+  };
+
+  // The field map is entered as JSON, e.g. {"casinoName": "Casino", "offerName": "Offer"}
+  const handleCreateSource = async (e) => {
+    e.preventDefault();
+    try {
+      const { name, type, url, recordsPath, fieldMap } = newSource;
+      const res = await authFetch(`${API_URL}/api/baseline-sources`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          type,
+          config: { url: url || undefined, recordsPath: recordsPath || undefined },
+          fieldMap: fieldMap.trim() ? JSON.parse(fieldMap) : undefined,
+        }),
+      });
+      await readJson(res);
+      setNewSource({ name: '', type: 'file', url: '', recordsPath: '', fieldMap: '' });
+      fetchBaselineSources();
+    } catch (error) {
+      console.error('Error creating baseline source:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleToggleSource = async (source) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/baseline-sources/${source._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !source.enabled }),
+      });
+      await readJson(res);
+      fetchBaselineSources();
+    } catch (error) {
+      console.error('Error updating baseline source:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleDeleteSource = async (source) => {
+    if (!confirm(`Delete baseline source: ${source.name}? Imported offers are kept.`)) return;
+    try {
+      const res = await authFetch(`${API_URL}/api/baseline-sources/${source._id}`, { method: 'DELETE' });
+      await readJson(res);
+      fetchBaselineSources();
+    } catch (error) {
+      console.error('Error deleting baseline source:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Files are sent as plain text so large uploads aren't held to the JSON body limit
+  const handleUploadSource = async (source, file) => {
+    if (!file) return;
+    try {
+      const res = await authFetch(`${API_URL}/api/baseline-sources/${source._id}/upload?filename=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: await file.text(),
+      });
+      await readJson(res);
+      fetchBaselineSources();
+    } catch (error) {
+      console.error('Error uploading baseline file:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handlePreviewSource = async (source) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/baseline-sources/${source._id}/preview?limit=3`);
+      const data = await readJson(res);
+      alert([
+        `${data.valid} of ${data.total} records map to valid offers`,
+        ...data.records.map(r => `✓ ${r.casinoName} (${r.stateAbbreviation}): ${r.offerName}`),
+        ...data.skipped.map(r => `✗ record ${r.index + 1}: ${r.errors.join('; ')}`),
+      ].join('\n'));
+    } catch (error) {
+      console.error('Error previewing baseline source:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Fetch webhook subscriptions
+  const fetchWebhooks = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/webhooks`);
+      const data = await readJson(res);
+      setWebhooks(data);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+    }
+  };
+
+  const toggleNewWebhookEvent = (event) => {
+    setNewWebhook(prev => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+    }));
+  };
+
+  // The secret is only returned on creation, so it is shown once here
+  const handleCreateWebhook = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await authFetch(`${API_URL}/api/webhooks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newWebhook),
+      });
+      const data = await readJson(res);
+      setCreatedWebhookSecret({ name: data.name, secret: data.secret });
+      setNewWebhook(prev => ({ ...prev, name: '', url: '' }));
+      fetchWebhooks();
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleToggleWebhook = async (webhook) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/webhooks/${webhook._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !webhook.enabled }),
+      });
+      await readJson(res);
+      fetchWebhooks();
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleDeleteWebhook = async (webhook) => {
+    if (!confirm(`Delete webhook: ${webhook.name}? Its delivery log is deleted too.`)) return;
+    try {
+      const res = await authFetch(`${API_URL}/api/webhooks/${webhook._id}`, { method: 'DELETE' });
+      await readJson(res);
+      if (webhookDeliveries?.webhook._id === webhook._id) setWebhookDeliveries(null);
+      fetchWebhooks();
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleShowDeliveries = async (webhook) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/webhooks/${webhook._id}/deliveries`);
+      const data = await readJson(res);
+      setWebhookDeliveries({ webhook, deliveries: data });
+    } catch (error) {
+      console.error('Error fetching deliveries:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Test sends and redeliveries go out in the background; refresh the log shortly after
+  const handleWebhookAction = async (webhook, path) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/webhooks/${webhook._id}/${path}`, { method: 'POST' });
+      await readJson(res);
+      setTimeout(() => {
+        handleShowDeliveries(webhook);
+        fetchWebhooks();
+      }, 1500);
+    } catch (error) {
+      console.error('Error sending webhook:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // The signed-in user's API keys
+  const fetchApiKeys = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/auth/api-keys`);
+      const data = await readJson(res);
+      setApiKeys(data);
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+    }
+  };
+
+  // Like webhook secrets, a key is only returned on creation
+  const handleCreateApiKey = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await authFetch(`${API_URL}/api/auth/api-keys`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newApiKey.name, role: newApiKey.role || undefined }),
+      });
+      const data = await readJson(res);
+      setCreatedApiKey({ name: data.name, key: data.key });
+      setNewApiKey({ name: '', role: '' });
+      fetchApiKeys();
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleRevokeApiKey = async (apiKey) => {
+    if (!confirm(`Revoke API key: ${apiKey.name}? Anything using it stops working.`)) return;
+    try {
+      const res = await authFetch(`${API_URL}/api/auth/api-keys/${apiKey._id}`, { method: 'DELETE' });
+      await readJson(res);
+      fetchApiKeys();
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Other sessions are signed out; this one carries on with the new token
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await authFetch(`${API_URL}/api/auth/password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(passwordForm),
+      });
+      const data = await readJson(res);
+      onSessionRenewed(data);
+      setPasswordForm({ currentPassword: '', newPassword: '' });
+      alert('Password changed');
+    } catch (error) {
+      console.error('Error changing password:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/users`);
+      const data = await readJson(res);
+      setUsers(data);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    }
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await authFetch(`${API_URL}/api/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newUser),
+      });
+      await readJson(res);
+      setNewUser({ email: '', name: '', password: '', role: 'viewer' });
+      fetchUsers();
+    } catch (error) {
+      console.error('Error creating user:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Role changes, disabling and password resets
+  const handleUpdateUser = async (target, changes) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/users/${target._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      await readJson(res);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error updating user:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleResetPassword = (target) => {
+    const password = prompt(`New password for ${target.email} (at least 8 characters):`);
+    if (password) handleUpdateUser(target, { password });
+  };
+
+  const describeScope = (scope) => {
+    if (!scope) return 'All states';
+    const parts = [scope.states?.length ? scope.states.join(', ') : 'All states'];
+    if (scope.casinoIds?.length) parts.push(`${scope.casinoIds.length} casino(s)`);
+    if (scope.phases?.length === 1) parts.push(`${scope.phases[0]} only`);
+    if (scope.dryRun) parts.push('dry run');
+    if (scope.budgetUsd) parts.push(`budget $${scope.budgetUsd}`);
+    if (scope.forceRefresh) parts.push('no cache');
+    return parts.join(' · ');
+  };
+
+  // Settle a possible duplicate casino flagged by a run
+  const handleResolveDuplicate = async (duplicate, resolution) => {
+    try {
+      const res = await authFetch(
+        `${API_URL}/api/research/runs/${currentResearch._id}/duplicates/${duplicate._id}/resolve`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ resolution })
+        }
+      );
+      await readJson(res);
+      setCurrentResearch(prev => ({
+        ...prev,
+        possibleDuplicates: prev.possibleDuplicates.map(d => (d._id === duplicate._id ? { ...d, resolution } : d))
+      }));
+      fetchSummary();
+    } catch (error) {
+      console.error('Error resolving duplicate:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Load an offer's version timeline
+  const handleShowHistory = async (offerId) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/offers/${offerId}/history`);
+      const data = await readJson(res);
+      setOfferHistory(data);
+    } catch (error) {
+      console.error('Error fetching offer history:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const formatHistoryValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+  // Pick up to two runs to compare; picking a third replaces the oldest pick
+  const toggleDiffSelection = (runId) => {
+    setDiffSelection(prev => (prev.includes(runId)
+      ? prev.filter(id => id !== runId)
+      : [...prev, runId].slice(-2)));
+  };
+
+  // Diff the selected runs, always from the earlier run to the later one
+  const handleCompareRuns = async () => {
+    const [base, compare] = researches
+      .filter(run => diffSelection.includes(run._id))
+      .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+    try {
+      const res = await authFetch(`${API_URL}/api/research/runs/${base._id}/diff/${compare._id}`);
+      const data = await readJson(res);
+      setRunDiff(data);
+    } catch (error) {
+      console.error('Error comparing runs:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+  // Offers from research still waiting on a reviewer decision
+  const fetchReviewQueue = async () => {
+    try {
+      const res = await authFetch(`${API_URL}/api/offers?source=ai-research&reviewStatus=pending,needs-info&sort=value&limit=200`);
+      const data = await readJson(res);
+      setReviewQueue(data.items);
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+    }
+  };
+
+  // Approve, reject or ask for more information on an offer
+  const handleReviewOffer = async (offerId, status) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/offers/${offerId}/review`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          status,
+          notes: reviewNotes[offerId] || undefined,
+        }),
+      });
+      await readJson(res);
+      setReviewNotes(prev => ({ ...prev, [offerId]: undefined }));
+      fetchReviewQueue();
+    } catch (error) {
+      console.error('Error reviewing offer:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
   // Delete offer
-  const handleDeleteOffer = async (casinoName, offerName) => {
+  const handleDeleteOffer = async (offerId, offerName) => {
     if (!confirm(`Delete offer: ${offerName}?`)) return;
-    
+
     try {
-      const allOffers = await fetch(`${API_URL}/api/offers`).then(r => r.json());
-      const targetOffer = allOffers.find(o => o.casinoName === casinoName && o.offerName === offerName);
-      
-      if (targetOffer) {
-        await fetch(`${API_URL}/api/offers/${targetOffer._id}`, { method: 'DELETE' });
-        alert('Offer deleted successfully');
-        fetchResearches();
-        fetchOffers();
-      }
+      const res = await authFetch(`${API_URL}/api/offers/${offerId}`, { method: 'DELETE' });
+      await readJson(res);
+      alert('Offer deleted successfully');
+      fetchResearches();
+      fetchOffers();
+      fetchReviewQueue();
     } catch (error) {
       console.error('Error deleting offer:', error);
-      alert('Error deleting offer');
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Analyses are keyed by stored offer id; offers from dry runs have none
+  const analysisKey = (casinoName, offer) => offer.offerId || `${casinoName}|${offer.name}`;
+
+  // Load stored analyses and the batch job state for a run
+  const fetchRunAnalyses = useCallback(async (runId) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/research/runs/${runId}/analysis`);
+      const data = await readJson(res);
+      setAnalysisResults(prev => ({
+        ...prev,
+        ...Object.fromEntries(data.analyses.map(item => [item.offerId, item.analysis])),
+      }));
+      setAnalysisJob(data.job);
+      return data.job;
+    } catch (error) {
+      console.error('Error fetching analyses:', error);
+      return null;
+    }
+  }, []);
+
+  // Poll the batch job until it finishes, picking up analyses as they land
+  const pollRunAnalyses = useCallback((runId) => {
+    const poll = () => {
+      clearTimeout(analysisPollRef.current);
+      analysisPollRef.current = setTimeout(async () => {
+        const job = await fetchRunAnalyses(runId);
+        if (job && ['queued', 'in-progress'].includes(job.status)) poll();
+      }, 2000);
+    };
+    poll();
+  }, [fetchRunAnalyses]);
+
+  // Queue analysis of every comparison in the current run
+  const handleAnalyzeRun = async (force = false) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/research/runs/${currentResearch._id}/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ force }),
+      });
+      const data = await readJson(res);
+      setAnalysisJob(data.job);
+      pollRunAnalyses(currentResearch._id);
+    } catch (error) {
+      console.error('Error queueing analysis:', error);
+      alert(`Error: ${error.message}`);
     }
   };
 
@@ -160,22 +1021,26 @@ function App() {
   const handleAnalyzeOffers = async (casinoName, currentOffers, newOffers) => {
     setAnalyzing(true);
     try {
-      const res = await fetch(`${API_URL}/api/offers/analyze`, {
+      const res = await authFetch(`${API_URL}/api/offers/analyze`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ casinoName, currentOffers, newOffers })
+        body: JSON.stringify({ casinoName, currentOffers, newOffers, runId: currentResearch?._id })
       });
-      const data = await res.json();
-      
+      const data = await readJson(res);
+
+      const analyzedAt = new Date().toISOString();
       setAnalysisResults(prev => ({
         ...prev,
-        [casinoName]: data.analysis
+        ...Object.fromEntries(newOffers
+          .map(offer => [offer, data.analysis.find(a => a.offerName === offer.name)])
+          .filter(([, analysis]) => analysis)
+          .map(([offer, analysis]) => [analysisKey(casinoName, offer), { ...analysis, analyzedAt }])),
       }));
       
       alert('Analysis complete! Check the recommendations below each offer.');
     } catch (error) {
       console.error('Error analyzing offers:', error);
-      alert('Error analyzing offers');
+      alert(`Error analyzing offers: ${error.message}`);
     } finally {
       setAnalyzing(false);
     }
@@ -184,21 +1049,69 @@ function App() {
   useEffect(() => {
     fetchSummary();
     fetchResearches();
-  }, []);
+    fetchJurisdictions();
+
+    // Pick a running or paused run back up after a page reload
+    authFetch(`${API_URL}/api/research/runs?limit=1`)
+      .then(readJson)
+      .then(([latest]) => {
+        if (latest && ['in-progress', 'paused'].includes(latest.status)) {
+          subscribeToRun(latest._id, latest.status);
+        }
+      })
+      .catch(error => console.error('Error checking for active research:', error));
+
+    return () => eventSourceRef.current?.close();
+  }, [fetchSummary, fetchResearches, fetchJurisdictions, subscribeToRun]);
+
+  // Keep the live log scrolled to the newest line
+  useEffect(() => {
+    const container = logContainerRef.current;
+    if (container) container.scrollTop = container.scrollHeight;
+  }, [researchProgress?.logs?.length]);
 
   useEffect(() => {
-    if (activeTab === 'casinos') {
+    if (activeTab === 'dashboard') {
+      fetchLlmUsage();
+    } else if (activeTab === 'casinos') {
       fetchCasinos();
     } else if (activeTab === 'offers') {
       fetchOffers();
+    } else if (activeTab === 'comparisons') {
+      fetchReviewQueue();
+    } else if (activeTab === 'settings') {
+      fetchApiKeys();
+      if (isAdmin) {
+        fetchSchedules();
+        fetchBaselineSources();
+        fetchWebhooks();
+        fetchUsers();
+      }
     }
-  }, [activeTab, selectedState]);
+  }, [activeTab, selectedState, casinoQuery, offerQuery, isAdmin]);
+
+  useEffect(() => {
+    if (activeTab === 'offers') fetchOfferTypes();
+  }, [activeTab]);
+
+  // Stored analyses follow the run shown in the Comparisons tab
+  useEffect(() => {
+    if (activeTab !== 'comparisons' || !currentResearch?._id) return;
+    fetchRunAnalyses(currentResearch._id).then(job => {
+      if (job && ['queued', 'in-progress'].includes(job.status)) pollRunAnalyses(currentResearch._id);
+    });
+    return () => clearTimeout(analysisPollRef.current);
+  }, [activeTab, currentResearch?._id, fetchRunAnalyses, pollRunAnalyses]);
 
   return (
     <div className="app">
       <header className="header">
         <h1>🎰 Casino & Offer AI Researcher</h1>
         <p>Intelligent casino discovery and promotional offer analysis</p>
+        <div className="header-user">
+          {user.name} <span className="badge internal">{user.role}</span>{' '}
+          <button className="btn btn-small" onClick={onSignOut}>Sign out</button>
+        </div>
       </header>
 
       <nav className="tabs">
@@ -238,28 +1151,101 @@ function App() {
         >
           History
         </button>
+        <button 
+          className={`tab ${activeTab === 'settings' ? 'active' : ''}`}
+          onClick={() => setActiveTab('settings')}
+        >
+          Settings
+        </button>
       </nav>
 
       <div className="container">
         {/* Dashboard Tab */}
         {activeTab === 'dashboard' && (
           <div className="tab-content">
-            <div className="controls">
-              <button 
-                className="btn btn-primary"
-                onClick={handleInitialize}
-                disabled={loading}
-              >
-                {loading ? 'Processing...' : '📥 Initialize (Fetch Existing Offers)'}
-              </button>
-              <button 
-                className="btn btn-success"
-                onClick={handleRunResearch}
-                disabled={loading}
-              >
-                {loading ? 'Processing...' : '🔍 Run Full Research'}
-              </button>
-            </div>
+            {isAdmin && (
+              <>
+                <div className="controls">
+                  <button 
+                    className="btn btn-primary"
+                    onClick={handleInitialize}
+                    disabled={loading}
+                  >
+                    {loading ? 'Processing...' : '📥 Initialize (Fetch Existing Offers)'}
+                  </button>
+                  <button 
+                    className="btn btn-success"
+                    onClick={() => handleRunResearch(runScope)}
+                    disabled={loading || runScope.phases.length === 0}
+                  >
+                    {loading ? 'Processing...' : (runScope.states.length > 0 || runScope.phases.length < 2 || runScope.dryRun
+                      ? '🔍 Run Scoped Research'
+                      : '🔍 Run Full Research')}
+                  </button>
+                </div>
+
+                <div className="run-scope">
+                  <div className="scope-group">
+                    <strong>States:</strong>
+                    {jurisdictions.filter(j => j.enabled).map((jurisdiction) => (
+                      <label key={jurisdiction._id}>
+                        <input
+                          type="checkbox"
+                          checked={runScope.states.includes(jurisdiction.abbreviation)}
+                          onChange={() => toggleScopeValue('states', jurisdiction.abbreviation)}
+                        />
+                        {jurisdiction.abbreviation}
+                      </label>
+                    ))}
+                    <span className="hint">{runScope.states.length === 0 && '(none selected = all)'}</span>
+                  </div>
+                  <div className="scope-group">
+                    <strong>Phases:</strong>
+                    {['discovery', 'offers'].map((phase) => (
+                      <label key={phase}>
+                        <input
+                          type="checkbox"
+                          checked={runScope.phases.includes(phase)}
+                          onChange={() => toggleScopeValue('phases', phase)}
+                        />
+                        {phase}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="scope-group">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={runScope.dryRun}
+                        onChange={(e) => setRunScope(prev => ({ ...prev, dryRun: e.target.checked }))}
+                      />
+                      Dry run (report only, save nothing)
+                    </label>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={runScope.forceRefresh}
+                        onChange={(e) => setRunScope(prev => ({ ...prev, forceRefresh: e.target.checked }))}
+                      />
+                      Ignore cached results
+                    </label>
+                  </div>
+                  <div className="scope-group">
+                    <label>
+                      <strong>Budget (USD):</strong>
+                      <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        placeholder="no limit"
+                        value={runScope.budgetUsd}
+                        onChange={(e) => setRunScope(prev => ({ ...prev, budgetUsd: e.target.value }))}
+                      />
+                    </label>
+                  </div>
+                </div>
+              </>
+            )}
 
             {summary && (
               <div className="stats-grid">
@@ -286,6 +1272,9 @@ function App() {
               <div className="latest-run">
                 <h3>Latest Research Run</h3>
                 <p><strong>Status:</strong> <span className={`status ${summary.latestRun.status}`}>{summary.latestRun.status}</span></p>
+                {summary.latestRun.failureReason && (
+                  <p><strong>Reason:</strong> {summary.latestRun.failureReason}</p>
+                )}
                 <p><strong>Started:</strong> {new Date(summary.latestRun.startedAt).toLocaleString()}</p>
                 {summary.latestRun.completedAt && (
                   <p><strong>Completed:</strong> {new Date(summary.latestRun.completedAt).toLocaleString()}</p>
@@ -296,12 +1285,110 @@ function App() {
                     <p><strong>New Offers Found:</strong> {summary.latestRun.summary.totalNewOffers}</p>
                   </div>
                 )}
+                {summary.latestRun.usage && (
+                  <p><strong>LLM Cost:</strong> {formatCost(summary.latestRun.usage.cost)}
+                    {summary.latestRun.scope?.budgetUsd && ` of ${formatCost(summary.latestRun.scope.budgetUsd)} budget`}
+                    {' '}({summary.latestRun.usage.calls} calls, {(summary.latestRun.usage.promptTokens + summary.latestRun.usage.completionTokens).toLocaleString()} tokens
+                    {summary.latestRun.usage.unpricedCalls > 0 && `, ${summary.latestRun.usage.unpricedCalls} unpriced`})
+                  </p>
+                )}
+                {summary.latestRun.cache?.hits > 0 && (
+                  <p><strong>Cached Results:</strong> {summary.latestRun.cache.hits} of {summary.latestRun.cache.hits + summary.latestRun.cache.misses}</p>
+                )}
+                {summary.latestRun.validationFailures?.length > 0 && (
+                  <p><strong>Invalid AI Responses:</strong> {summary.latestRun.validationFailures.length}
+                    {' '}({['discovery', 'offers', 'analysis']
+                      .map(purpose => `${purpose}: ${summary.latestRun.validationFailures.filter(f => f.purpose === purpose).length}`)
+                      .join(', ')})
+                  </p>
+                )}
+                {summary.latestRun.failures?.length > 0 && (
+                  <div className="run-failures">
+                    <p><strong>Failures:</strong> {summary.latestRun.failures.length}</p>
+                    <ul>
+                      {summary.latestRun.failures.map((failure, idx) => (
+                        <li key={idx}>
+                          {failure.casinoName || `${failure.state} discovery`} ({failure.state}) - {failure.error}
+                          {failure.attempts > 1 && ` after ${failure.attempts} attempts`}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {llmUsage?.total.calls > 0 && (
+              <div className="llm-usage">
+                <h3>LLM Costs (last {llmUsage.days} days): {formatCost(llmUsage.total.cost)}</h3>
+                {llmUsage.total.unpricedCalls > 0 && (
+                  <p className="hint">{llmUsage.total.unpricedCalls} calls used a model with no configured price and are not included.</p>
+                )}
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>State</th>
+                      <th>Calls</th>
+                      <th>Prompt Tokens</th>
+                      <th>Completion Tokens</th>
+                      <th>Failed</th>
+                      <th>Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {llmUsage.byState.map((row) => (
+                      <tr key={row.state || 'none'}>
+                        <td>{row.state || 'Ad-hoc analysis'}</td>
+                        <td>{row.calls}</td>
+                        <td>{row.promptTokens.toLocaleString()}</td>
+                        <td>{row.completionTokens.toLocaleString()}</td>
+                        <td>{row.failedCalls}</td>
+                        <td>{formatCost(row.cost)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
             )}
 
             {researchProgress && (
-              <div className="research-progress">
-                <h3>🔄 Research in Progress</h3>
+              <div className={`research-progress ${researchProgress.status === 'paused' ? 'paused' : ''}`}>
+                <h3>
+                  {researchProgress.status === 'paused'
+                    ? (researchProgress.stopReason === 'budget' ? '💸 Research Paused (budget reached)' : '⏸️ Research Paused')
+                    : '🔄 Research in Progress'}
+                  {researchProgress.controlRequest && ` (${researchProgress.controlRequest} requested...)`}
+                </h3>
+                {researchProgress.runId && isAdmin && (
+                  <div className="run-controls">
+                    {researchProgress.status === 'in-progress' && (
+                      <button
+                        className="btn btn-small"
+                        onClick={() => handleRunControl('pause')}
+                        disabled={Boolean(researchProgress.controlRequest)}
+                      >
+                        ⏸️ Pause
+                      </button>
+                    )}
+                    {researchProgress.status === 'paused' && (
+                      <button className="btn btn-small" onClick={() => handleRunControl('resume')}>
+                        ▶️ Resume
+                      </button>
+                    )}
+                    {['in-progress', 'paused'].includes(researchProgress.status) && (
+                      <button
+                        className="btn btn-small"
+                        onClick={() => handleRunControl('cancel')}
+                        disabled={researchProgress.controlRequest === 'cancel'}
+                      >
+                        🛑 Cancel
+                      </button>
+                    )}
+                  </div>
+                )}
+                {researchProgress.notice && (
+                  <p className="progress-notice">{researchProgress.notice}</p>
+                )}
                 {researchProgress.currentState && (
                   <p><strong>Current State:</strong> {researchProgress.currentState}</p>
                 )}
@@ -314,12 +1401,18 @@ function App() {
                 {researchProgress.offersProcessed > 0 && (
                   <p><strong>New Offers Found:</strong> {researchProgress.offersProcessed}</p>
                 )}
+                {researchProgress.cache?.hits > 0 && (
+                  <p><strong>Cached Results:</strong> {researchProgress.cache.hits}</p>
+                )}
+                {researchProgress.usage?.calls > 0 && (
+                  <p><strong>LLM Cost So Far:</strong> {formatCost(researchProgress.usage.cost)} ({researchProgress.usage.calls} calls)</p>
+                )}
                 
                 {researchProgress.logs && researchProgress.logs.length > 0 && (
                   <div className="progress-log">
-                    <h4>Progress Log:</h4>
-                    <div className="log-container">
-                      {researchProgress.logs.slice(-10).map((log, idx) => (
+                    <h4>Progress Log ({researchProgress.logs.length} lines):</h4>
+                    <div className="log-container" ref={logContainerRef}>
+                      {researchProgress.logs.map((log, idx) => (
                         <div key={idx} className="log-entry">{log}</div>
                       ))}
                     </div>
@@ -348,6 +1441,110 @@ function App() {
             ) : (
               <p>No missing casinos detected. Run research to check for gaps.</p>
             )}
+
+            {currentResearch.possibleDuplicates?.length > 0 && (
+              <div className="state-section">
+                <h3>Possible Duplicates ({currentResearch.possibleDuplicates.filter(d => d.resolution === 'pending').length} to review)</h3>
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Discovered Name</th>
+                      <th>Looks Like</th>
+                      <th>State</th>
+                      <th>Score</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {currentResearch.possibleDuplicates.map((duplicate) => (
+                      <tr key={duplicate._id}>
+                        <td>{duplicate.discoveredName}</td>
+                        <td>
+                          {duplicate.candidateName}
+                          {duplicate.matchedOn !== duplicate.candidateName && ` (alias "${duplicate.matchedOn}")`}
+                        </td>
+                        <td>{duplicate.stateAbbreviation || duplicate.state}</td>
+                        <td>{Math.round(duplicate.score * 100)}%</td>
+                        <td>
+                          {duplicate.resolution === 'pending' ? (
+                            <>
+                              <button className="btn btn-small" onClick={() => handleResolveDuplicate(duplicate, 'same')} disabled={!canReview}>
+                                🔗 Same casino
+                              </button>{' '}
+                              <button className="btn btn-small" onClick={() => handleResolveDuplicate(duplicate, 'different')} disabled={!canReview}>
+                                ➕ Different casino
+                              </button>
+                            </>
+                          ) : (
+                            <span className="badge internal">{duplicate.resolution === 'same' ? 'Alias added' : 'Added as new'}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Review Queue (top of the Offer Comparisons tab) */}
+        {activeTab === 'comparisons' && (
+          <div className="tab-content review-queue">
+            <h2>Review Queue ({reviewQueue.length})</h2>
+            <p className="schedule-hint">Decisions are recorded under your name, {user.name}.</p>
+            {reviewQueue.length === 0 ? (
+              <p>No offers waiting for review.</p>
+            ) : (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Casino</th>
+                    <th>Offer</th>
+                    <th>Type</th>
+                    <th>Bonus</th>
+                    <th>Player Value</th>
+                    <th>Status</th>
+                    <th>Notes</th>
+                    <th>Decision</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reviewQueue.map((offer) => (
+                    <tr key={offer._id}>
+                      <td>{offer.casinoName} ({offer.stateAbbreviation})</td>
+                      <td>
+                        {offer.offerName}
+                        {offer.reviewNotes && <div className="aliases">Last note: {offer.reviewNotes}</div>}
+                      </td>
+                      <td>{offer.offerType}</td>
+                      <td>${offer.expectedBonus || 0}</td>
+                      <td>{offer.valueScore != null ? `$${offer.valueScore.toFixed(2)}` : '—'}</td>
+                      <td><span className={`status ${offer.reviewStatus}`}>{offer.reviewStatus}</span></td>
+                      <td>
+                        <input
+                          type="text"
+                          value={reviewNotes[offer._id] || ''}
+                          onChange={(e) => setReviewNotes(prev => ({ ...prev, [offer._id]: e.target.value }))}
+                          placeholder="Reviewer notes"
+                        />
+                      </td>
+                      <td className="review-actions">
+                        {canReview ? (
+                          <>
+                            <button className="btn btn-small" onClick={() => handleReviewOffer(offer._id, 'approved')}>✅ Approve</button>
+                            <button className="btn btn-small" onClick={() => handleReviewOffer(offer._id, 'rejected')}>❌ Reject</button>
+                            {offer.reviewStatus !== 'needs-info' && (
+                              <button className="btn btn-small" onClick={() => handleReviewOffer(offer._id, 'needs-info')}>❓ Needs info</button>
+                            )}
+                          </>
+                        ) : 'Needs the analyst role'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
         )}
 
@@ -355,10 +1552,38 @@ function App() {
         {activeTab === 'comparisons' && currentResearch && (
           <div className="tab-content">
             <h2>Offer Comparisons</h2>
+            <div className="controls">
+              <button
+                className="btn btn-primary"
+                onClick={() => handleAnalyzeRun(false)}
+                disabled={!canReview || ['queued', 'in-progress'].includes(analysisJob?.status)}
+              >
+                🧠 Analyze All New Offers
+              </button>
+              {analysisJob?.status === 'completed' && canReview && (
+                <button className="btn btn-small" onClick={() => handleAnalyzeRun(true)}>🔁 Re-analyze all</button>
+              )}
+            </div>
+            {analysisJob && (
+              <p className="analysis-job">
+                Analysis <span className={`status ${analysisJob.status}`}>{analysisJob.status}</span>{' '}
+                {analysisJob.processed + analysisJob.failed + analysisJob.skipped}/{analysisJob.total} casinos
+                {analysisJob.skipped > 0 && ` · ${analysisJob.skipped} skipped (already analyzed or not stored)`}
+                {analysisJob.failed > 0 && ` · ${analysisJob.failed} failed`}
+                {analysisJob.error && ` · ${analysisJob.error}`}
+              </p>
+            )}
             {currentResearch.offerComparisons && currentResearch.offerComparisons.length > 0 ? (
               currentResearch.offerComparisons.map((comparison, idx) => (
                 <div key={idx} className="comparison-card">
-                  <h3>{comparison.casinoName} ({comparison.state})</h3>
+                  <h3>
+                    {comparison.casinoName} ({comparison.state})
+                    {comparison.cachedAt && (
+                      <span className="badge cached" title="Offers came from the LLM cache rather than a new model call">
+                        📦 cached {new Date(comparison.cachedAt).toLocaleString()}
+                      </span>
+                    )}
+                  </h3>
                   
                   <button 
                     className="btn btn-analyze"
@@ -367,7 +1592,7 @@ function App() {
                       comparison.currentOffers, 
                       comparison.newOffers
                     )}
-                    disabled={analyzing}
+                    disabled={analyzing || !canReview}
                   >
                     {analyzing ? '🤔 Analyzing...' : '🧠 AI Analyze New Offers'}
                   </button>
@@ -399,14 +1624,31 @@ function App() {
                       <h4>✨ New Offers ({comparison.newOffers.length})</h4>
                       <ul>
                         {comparison.newOffers.map((o, i) => {
-                          const analysis = analysisResults[comparison.casinoName]?.find(
-                            a => a.offerName === o.name
-                          );
+                          const analysis = analysisResults[analysisKey(comparison.casinoName, o)];
                           
                           return (
                             <li key={i}>
                               <strong>{o.name}</strong><br/>
                               Type: {o.type} | Deposit: ${o.deposit} | Bonus: ${o.bonus}
+
+                              {o.match && (
+                                <details className="match-explanation">
+                                  <summary>
+                                    Why new: {o.match.matchedOffer
+                                      ? `closest match "${o.match.matchedOffer.name}" scored ${Math.round(o.match.score * 100)}% (threshold ${Math.round(o.match.threshold * 100)}%)`
+                                      : 'no current offers to compare against'}
+                                  </summary>
+                                  <ul>
+                                    {Object.entries(o.match.components).map(([field, component]) => (
+                                      <li key={field}>
+                                        {field}: {component.skipped
+                                          ? `skipped (${component.skipped})`
+                                          : `${Math.round(component.score * 100)}%${component.discovered !== undefined ? ` (${component.discovered} vs ${component.existing})` : ''}`}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </details>
+                              )}
                               
                               {analysis && (
                                 <div className={`analysis ${analysis.isSuperior ? 'superior' : 'not-superior'}`}>
@@ -415,12 +1657,19 @@ function App() {
                                   <span className="recommendation">
                                     Recommendation: <strong>{analysis.recommendation.toUpperCase()}</strong>
                                   </span>
+                                  {analysis.analyzedAt && (
+                                    <div className="analysis-meta">
+                                      {analysis.model && `${analysis.model} · `}{new Date(analysis.analyzedAt).toLocaleString()}
+                                    </div>
+                                  )}
                                 </div>
                               )}
                               
                               <button 
                                 className="btn btn-delete-small"
-                                onClick={() => handleDeleteOffer(comparison.casinoName, o.name)}
+                                onClick={() => handleDeleteOffer(o.offerId, o.name)}
+                                disabled={!o.offerId || !isAdmin}
+                                title={!o.offerId ? 'Not stored (dry run or older run)' : isAdmin ? undefined : 'Needs the admin role'}
                               >
                                 🗑️ Delete
                               </button>
@@ -443,37 +1692,73 @@ function App() {
           <div className="tab-content">
             <h2>All Casinos</h2>
             <div className="filter">
-              <label>Filter by State:</label>
-              <select value={selectedState} onChange={(e) => setSelectedState(e.target.value)}>
+              <form className="search-form" onSubmit={(e) => { e.preventDefault(); updateCasinoQuery({ q: casinoSearch.trim() }); }}>
+                <input type="search" placeholder="Search names and aliases" value={casinoSearch} onChange={(e) => setCasinoSearch(e.target.value)} />
+                <button type="submit" className="btn btn-small">Search</button>
+              </form>
+              <label>State:</label>
+              <select value={selectedState} onChange={(e) => handleStateFilter(e.target.value)}>
                 <option value="">All States</option>
-                <option value="NJ">New Jersey</option>
-                <option value="MI">Michigan</option>
-                <option value="PA">Pennsylvania</option>
-                <option value="WV">West Virginia</option>
+                {jurisdictions.map((jurisdiction) => (
+                  <option key={jurisdiction._id} value={jurisdiction.abbreviation}>{jurisdiction.name}</option>
+                ))}
+              </select>
+              <select value={casinoQuery.discovered} onChange={(e) => updateCasinoQuery({ discovered: e.target.value })}>
+                <option value="">Any source</option>
+                <option value="false">Internal</option>
+                <option value="true">AI Discovered</option>
               </select>
+              <select value={casinoQuery.active} onChange={(e) => updateCasinoQuery({ active: e.target.value })}>
+                <option value="">Active and inactive</option>
+                <option value="true">Active</option>
+                <option value="false">Inactive</option>
+              </select>
+              {renderExportLinks('/api/casinos/export', { ...casinoQuery, page: '', limit: '', state: selectedState })}
             </div>
             <table className="table">
               <thead>
                 <tr>
-                  <th>Casino Name</th>
-                  <th>State</th>
+                  <SortableHeader label="Casino Name" field="name" sort={casinoQuery.sort} onSort={(sort) => updateCasinoQuery({ sort })} />
+                  <SortableHeader label="State" field="state" sort={casinoQuery.sort} onSort={(sort) => updateCasinoQuery({ sort })} />
                   <th>Website</th>
                   <th>Source</th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
                 {casinos.map((casino) => (
                   <tr key={casino._id}>
-                    <td>{casino.name}</td>
+                    <td>
+                      {casino.name}
+                      {casino.aliases?.length > 0 && (
+                        <div className="aliases">aka {casino.aliases.join(', ')}</div>
+                      )}
+                    </td>
                     <td>{casino.state}</td>
                     <td>{casino.website ? <a href={casino.website} target="_blank" rel="noreferrer">Visit</a> : 'N/A'}</td>
-                    <td><span className={`badge ${casino.discovered ? 'ai' : 'internal'}`}>
+                    <td><span className={`badge ${casino.discovered ? 'ai' : 'internal'}`} title={casino.baselineSourceName}>
                       {casino.discovered ? 'AI Discovered' : 'Internal'}
-                    </span></td>
+                    </span>
+                    {casino.active === false && <span className="status inactive" title="No longer in its baseline source">inactive</span>}
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-small"
+                        onClick={() => handleRunResearch({ casinoIds: [casino._id], forceRefreshCasinoIds: [casino._id] })}
+                        disabled={loading || !isAdmin}
+                      >
+                        🔄 Re-check offers
+                      </button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
             </table>
+            <Pager
+              paging={casinoPaging}
+              onPage={(page) => setCasinoQuery(prev => ({ ...prev, page }))}
+              onLimit={(limit) => updateCasinoQuery({ limit })}
+            />
           </div>
         )}
 
@@ -482,43 +1767,171 @@ function App() {
           <div className="tab-content">
             <h2>All Offers</h2>
             <div className="filter">
-              <label>Filter by State:</label>
-              <select value={selectedState} onChange={(e) => setSelectedState(e.target.value)}>
+              <label>State:</label>
+              <select value={selectedState} onChange={(e) => handleStateFilter(e.target.value)}>
                 <option value="">All States</option>
-                <option value="NJ">New Jersey</option>
-                <option value="MI">Michigan</option>
-                <option value="PA">Pennsylvania</option>
-                <option value="WV">West Virginia</option>
+                {jurisdictions.map((jurisdiction) => (
+                  <option key={jurisdiction._id} value={jurisdiction.abbreviation}>{jurisdiction.name}</option>
+                ))}
               </select>
+              {renderExportLinks('/api/offers/export', { ...offerQuery, page: '', limit: '', state: selectedState })}
             </div>
+            <form
+              className="filter-form"
+              onSubmit={(e) => { e.preventDefault(); updateOfferQuery({ ...offerFilters, q: offerFilters.q.trim() }); }}
+            >
+              <input
+                type="search"
+                placeholder="Search offer names, descriptions and terms"
+                value={offerFilters.q}
+                onChange={(e) => setOfferFilters(prev => ({ ...prev, q: e.target.value }))}
+              />
+              <select value={offerFilters.offerType} onChange={(e) => setOfferFilters(prev => ({ ...prev, offerType: e.target.value }))}>
+                <option value="">Any type</option>
+                {offerTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <select value={offerFilters.source} onChange={(e) => setOfferFilters(prev => ({ ...prev, source: e.target.value }))}>
+                <option value="">Any source</option>
+                <option value="internal-api">Internal</option>
+                <option value="ai-research">AI Research</option>
+              </select>
+              <select value={offerFilters.verified} onChange={(e) => setOfferFilters(prev => ({ ...prev, verified: e.target.value }))}>
+                <option value="">Verified or not</option>
+                <option value="true">Verified</option>
+                <option value="false">Not verified</option>
+              </select>
+              {[['Bonus', 'minBonus', 'maxBonus'], ['Deposit', 'minDeposit', 'maxDeposit']].map(([label, min, max]) => (
+                <span key={label} className="range">
+                  {label} $
+                  <input type="number" min="0" placeholder="min" value={offerFilters[min]} onChange={(e) => setOfferFilters(prev => ({ ...prev, [min]: e.target.value }))} />
+                  –
+                  <input type="number" min="0" placeholder="max" value={offerFilters[max]} onChange={(e) => setOfferFilters(prev => ({ ...prev, [max]: e.target.value }))} />
+                </span>
+              ))}
+              <span className="range">
+                Discovered
+                <input type="date" value={offerFilters.discoveredFrom} onChange={(e) => setOfferFilters(prev => ({ ...prev, discoveredFrom: e.target.value }))} />
+                –
+                <input type="date" value={offerFilters.discoveredTo} onChange={(e) => setOfferFilters(prev => ({ ...prev, discoveredTo: e.target.value }))} />
+              </span>
+              <button type="submit" className="btn btn-small">Apply</button>
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => { setOfferFilters(EMPTY_OFFER_FILTERS); updateOfferQuery(EMPTY_OFFER_FILTERS); }}
+              >
+                Clear
+              </button>
+            </form>
             <table className="table">
               <thead>
                 <tr>
-                  <th>Casino</th>
-                  <th>State</th>
-                  <th>Offer</th>
-                  <th>Type</th>
-                  <th>Deposit</th>
-                  <th>Bonus</th>
-                  <th>Source</th>
+                  {[
+                    ['Casino', 'casinoName'],
+                    ['State', 'stateAbbreviation'],
+                    ['Offer', 'offerName'],
+                    ['Type', 'offerType'],
+                    ['Deposit', 'expectedDeposit'],
+                    ['Bonus', 'expectedBonus'],
+                    ['Wagering', 'wageringMultiplier'],
+                    ['Player Value', 'valueScore'],
+                    ['Status', 'status'],
+                    ['Source', 'source'],
+                  ].map(([label, field]) => (
+                    <SortableHeader key={field} label={label} field={field} sort={offerQuery.sort} onSort={(sort) => updateOfferQuery({ sort })} />
+                  ))}
                 </tr>
               </thead>
               <tbody>
                 {offers.map((offer) => (
-                  <tr key={offer._id}>
+                  <tr key={offer._id} className="clickable" onClick={() => handleShowHistory(offer._id)} title="Show history">
                     <td>{offer.casinoName}</td>
                     <td>{offer.stateAbbreviation || offer.state}</td>
                     <td>{offer.offerName}</td>
                     <td>{offer.offerType}</td>
                     <td>${offer.expectedDeposit || 0}</td>
                     <td>${offer.expectedBonus || 0}</td>
-                    <td><span className={`badge ${offer.source === 'ai-research' ? 'ai' : 'internal'}`}>
+                    <td>{offer.wageringMultiplier != null ? `${offer.wageringMultiplier}x` : '—'}</td>
+                    <td
+                      className={`value-score ${offer.valueScore < 0 ? 'negative' : ''}`}
+                      title={offer.valueBreakdown
+                        ? [offer.valueBreakdown.method, ...(offer.valueBreakdown.notes || [])].join('\n')
+                        : 'Not scored yet'}
+                    >
+                      {offer.valueScore != null ? `$${offer.valueScore.toFixed(2)}` : '—'}
+                    </td>
+                    <td>
+                      <span className={`status ${offer.status || 'active'}`}>{offer.status || 'active'}</span>
+                      {offer.active === false && <span className="status inactive" title="No longer in its baseline source">inactive</span>}
+                    </td>
+                    <td><span className={`badge ${offer.source === 'ai-research' ? 'ai' : 'internal'}`} title={offer.baselineSourceName}>
                       {offer.source === 'ai-research' ? 'AI Research' : 'Internal'}
                     </span></td>
                   </tr>
                 ))}
               </tbody>
             </table>
+            <Pager
+              paging={offerPaging}
+              onPage={(page) => setOfferQuery(prev => ({ ...prev, page }))}
+              onLimit={(limit) => updateOfferQuery({ limit })}
+            />
+
+            {offerHistory && (
+              <div className="offer-history">
+                <div className="offer-history-header">
+                  <h3>
+                    {offerHistory.offer.casinoName} – {offerHistory.offer.offerName}{' '}
+                    <span className={`status ${offerHistory.offer.status}`}>{offerHistory.offer.status}</span>
+                    {offerHistory.offer.active === false && <span className="status inactive">inactive</span>}
+                  </h3>
+                  <button className="btn btn-small" onClick={() => setOfferHistory(null)}>Close</button>
+                </div>
+                <p>
+                  Last seen: {offerHistory.offer.lastSeenAt ? new Date(offerHistory.offer.lastSeenAt).toLocaleString() : 'never by research'}
+                  {offerHistory.offer.missedRuns > 0 && ` · missed in ${offerHistory.offer.missedRuns} run(s) since`}
+                </p>
+                {offerHistory.versions.length === 0 ? (
+                  <p>No recorded versions yet.</p>
+                ) : (
+                  <ol className="timeline">
+                    {offerHistory.versions.map((version) => (
+                      <li key={version._id}>
+                        <div className="timeline-date">
+                          {new Date(version.observedAt).toLocaleString()}
+                          {version.runId && ` · run ${String(version.runId).slice(-6)}`}
+                          {version.baselineSourceId && ` · baseline sync${offerHistory.offer.baselineSourceName ? ` (${offerHistory.offer.baselineSourceName})` : ''}`}
+                        </div>
+                        {version.observedOnly ? (
+                          <div>
+                            Seen by research
+                            {version.reported?.length > 0 && (
+                              <ul>
+                                {version.reported.map((change) => (
+                                  <li key={change.field}>
+                                    <strong>{change.field}</strong> reported as {formatHistoryValue(change.to)} (kept {formatHistoryValue(change.from)})
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+                        ) : version.changes.length === 0 ? (
+                          <div>First seen: {version.snapshot?.offerName} (deposit ${version.snapshot?.expectedDeposit || 0}, bonus ${version.snapshot?.expectedBonus || 0})</div>
+                        ) : (
+                          <ul>
+                            {version.changes.map((change) => (
+                              <li key={change.field}>
+                                <strong>{change.field}</strong>: {formatHistoryValue(change.from)} → {formatHistoryValue(change.to)}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
           </div>
         )}
 
@@ -526,28 +1939,704 @@ function App() {
         {activeTab === 'history' && (
           <div className="tab-content">
             <h2>Research History</h2>
+            <div className="controls">
+              <button
+                className="btn btn-primary"
+                onClick={handleCompareRuns}
+                disabled={diffSelection.length !== 2}
+              >
+                🔀 Compare Selected Runs ({diffSelection.length}/2)
+              </button>
+            </div>
             <table className="table">
               <thead>
                 <tr>
+                  <th>Compare</th>
                   <th>ID</th>
                   <th>Status</th>
                   <th>Started</th>
+                  <th>Scope</th>
+                  <th>Started By</th>
                   <th>Missing Casinos</th>
                   <th>New Offers</th>
+                  <th>Failures</th>
+                  <th>LLM Cost</th>
+                  <th>Cached</th>
+                  <th>Export</th>
                 </tr>
               </thead>
               <tbody>
                 {researches.map((research) => (
                   <tr key={research._id} className="clickable" onClick={() => setCurrentResearch(research)}>
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        checked={diffSelection.includes(research._id)}
+                        onChange={() => toggleDiffSelection(research._id)}
+                      />
+                    </td>
                     <td>{research._id.substring(0, 8)}...</td>
-                    <td><span className={`status ${research.status}`}>{research.status}</span></td>
+                    <td><span className={`status ${research.status}`} title={research.failureReason}>{research.status}</span></td>
                     <td>{new Date(research.startedAt).toLocaleDateString()}</td>
+                    <td>{describeScope(research.scope)}</td>
+                    <td>{research.startedBy?.name || (research.scheduleId ? '⏰ Schedule' : '—')}</td>
                     <td>{research.summary?.totalMissingCasinos || 0}</td>
                     <td>{research.summary?.totalNewOffers || 0}</td>
+                    <td>{research.failures?.length || 0}</td>
+                    <td title={research.usage ? `${research.usage.calls} calls` : undefined}>
+                      {formatCost(research.usage?.cost)}
+                      {research.stopReason === 'budget' && ' 💸'}
+                    </td>
+                    <td>{research.cache ? `${research.cache.hits}/${research.cache.hits + research.cache.misses}` : '—'}</td>
+                    <td onClick={(e) => e.stopPropagation()}>
+                      {renderExportLinks(`/api/research/runs/${research._id}/export`)}
+                    </td>
                   </tr>
                 ))}
               </tbody>
             </table>
+
+            {runDiff && (
+              <div className="run-diff">
+                <div className="offer-history-header">
+                  <h3>
+                    {new Date(runDiff.base.startedAt).toLocaleString()} → {new Date(runDiff.compare.startedAt).toLocaleString()}
+                  </h3>
+                  <button className="btn btn-small" onClick={() => setRunDiff(null)}>Close</button>
+                </div>
+
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>State</th>
+                      <th>Casinos Discovered</th>
+                      <th>Appeared</th>
+                      <th>Disappeared</th>
+                      <th>Offers Observed</th>
+                      <th>Added</th>
+                      <th>Removed</th>
+                      <th>Changed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {runDiff.states.map((state) => (
+                      <tr key={state.state}>
+                        <td>{state.state}</td>
+                        <td>{state.casinosDiscovered ? `${state.casinosDiscovered.compare} (${formatDelta(state.casinosDiscovered.delta)})` : '—'}</td>
+                        <td>{state.casinosAppeared}</td>
+                        <td>{state.casinosDisappeared}</td>
+                        <td>{state.offersObserved ? `${state.offersObserved.compare} (${formatDelta(state.offersObserved.delta)})` : '—'}</td>
+                        <td>{state.offersAdded}</td>
+                        <td>{state.offersRemoved}</td>
+                        <td>{state.offersChanged}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="comparison-grid">
+                  <div className="comparison-section new">
+                    <h4>🆕 Casinos Appeared ({runDiff.casinos.appeared.length})</h4>
+                    <ul>
+                      {runDiff.casinos.appeared.map((casino) => (
+                        <li key={`${casino.state}-${casino.name}`}>{casino.name} ({casino.state})</li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="comparison-section">
+                    <h4>👋 Casinos Disappeared ({runDiff.casinos.disappeared.length})</h4>
+                    <ul>
+                      {runDiff.casinos.disappeared.map((casino) => (
+                        <li key={`${casino.state}-${casino.name}`}>{casino.name} ({casino.state})</li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="comparison-section new">
+                    <h4>➕ Offers Added ({runDiff.offers.added.length})</h4>
+                    <ul>
+                      {runDiff.offers.added.map((item, idx) => (
+                        <li key={idx}>{item.casinoName}: {item.offer.name} (${item.offer.bonus || 0})</li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="comparison-section">
+                    <h4>➖ Offers Removed ({runDiff.offers.removed.length})</h4>
+                    <ul>
+                      {runDiff.offers.removed.map((item, idx) => (
+                        <li key={idx}>{item.casinoName}: {item.offer.name} (${item.offer.bonus || 0})</li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="comparison-section">
+                    <h4>✏️ Offers Changed ({runDiff.offers.changed.length})</h4>
+                    <ul>
+                      {runDiff.offers.changed.map((item, idx) => (
+                        <li key={idx}>
+                          {item.casinoName}: {item.after.name}
+                          <ul className="diff-changes">
+                            {item.changes.map((change) => (
+                              <li key={change.field}>
+                                {change.field}: {change.from} → {change.to} ({formatDelta(change.delta)})
+                              </li>
+                            ))}
+                          </ul>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+
+                {(runDiff.notCompared.states.length > 0 || runDiff.notCompared.casinos.length > 0) && (
+                  <p className="diff-note">
+                    Not compared (only covered by one run): {[
+                      ...runDiff.notCompared.states.map((item) => `${item.state} discovery`),
+                      ...runDiff.notCompared.casinos.map((item) => `${item.casinoName} (${item.state})`),
+                    ].join(', ')}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Settings Tab */}
+        {activeTab === 'settings' && (
+          <div className="tab-content">
+            <h2>Your Account</h2>
+            <form className="schedule-form" onSubmit={handleChangePassword}>
+              <input
+                type="password"
+                value={passwordForm.currentPassword}
+                onChange={(e) => setPasswordForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+                placeholder="Current password"
+                autoComplete="current-password"
+                required
+              />
+              <input
+                type="password"
+                value={passwordForm.newPassword}
+                onChange={(e) => setPasswordForm(prev => ({ ...prev, newPassword: e.target.value }))}
+                placeholder="New password (at least 8 characters)"
+                autoComplete="new-password"
+                required
+              />
+              <button type="submit" className="btn btn-primary">🔑 Change Password</button>
+            </form>
+
+            <h3>API Keys</h3>
+            <p className="schedule-hint">
+              For scripts and integrations: send the key as <code>X-API-Key: cak_…</code> or{' '}
+              <code>Authorization: Bearer cak_…</code>. A key acts as you, with at most your role.
+            </p>
+            <form className="schedule-form" onSubmit={handleCreateApiKey}>
+              <input
+                type="text"
+                value={newApiKey.name}
+                onChange={(e) => setNewApiKey(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Name, e.g. Nightly export script"
+                required
+              />
+              <select value={newApiKey.role} onChange={(e) => setNewApiKey(prev => ({ ...prev, role: e.target.value }))}>
+                <option value="">Role: same as mine ({user.role})</option>
+                {ROLES.filter(role => hasRole(user, role)).map(role => (
+                  <option key={role} value={role}>Role: {role}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn btn-primary">➕ Create API Key</button>
+            </form>
+
+            {createdApiKey && (
+              <div className="webhook-secret">
+                Key <strong>{createdApiKey.name}</strong> (shown once, copy it now):{' '}
+                <code>{createdApiKey.key}</code>
+                <button className="btn btn-small" onClick={() => setCreatedApiKey(null)}>Dismiss</button>
+              </div>
+            )}
+
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Key</th>
+                  <th>Role</th>
+                  <th>Created</th>
+                  <th>Last Used</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {apiKeys.length === 0 && (
+                  <tr><td colSpan="7">No API keys yet.</td></tr>
+                )}
+                {apiKeys.map((apiKey) => (
+                  <tr key={apiKey._id}>
+                    <td>{apiKey.name}</td>
+                    <td><code>{apiKey.prefix}…</code></td>
+                    <td>{apiKey.role}</td>
+                    <td>{new Date(apiKey.createdAt).toLocaleDateString()}</td>
+                    <td>{apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'never'}</td>
+                    <td>
+                      {apiKey.revokedAt ? <span className="status failed">revoked</span>
+                        : apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date() ? <span className="status failed">expired</span>
+                          : <span className="status completed">active</span>}
+                    </td>
+                    <td>
+                      {!apiKey.revokedAt && (
+                        <button className="btn btn-small" onClick={() => handleRevokeApiKey(apiKey)}>🚫 Revoke</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {isAdmin && (
+              <>
+                <h2>Scheduled Research</h2>
+                <p className="schedule-hint">
+                  Cron expressions use the server's local time, e.g. <code>0 6 * * *</code> every day at 06:00 or{' '}
+                  <code>0 6 * * mon-fri</code> on weekdays. A scheduled run is skipped while another run is in progress.
+                </p>
+
+                <form className="schedule-form" onSubmit={handleCreateSchedule}>
+                  <input
+                    type="text"
+                    value={newSchedule.name}
+                    onChange={(e) => setNewSchedule(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Name, e.g. Morning full research"
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={newSchedule.cron}
+                    onChange={(e) => setNewSchedule(prev => ({ ...prev, cron: e.target.value }))}
+                    placeholder="Cron expression"
+                    required
+                  />
+                  <div className="run-scope">
+                    <div className="scope-group">
+                      <strong>States:</strong>
+                      {jurisdictions.filter(j => j.enabled).map((jurisdiction) => (
+                        <label key={jurisdiction._id}>
+                          <input
+                            type="checkbox"
+                            checked={newSchedule.states.includes(jurisdiction.abbreviation)}
+                            onChange={() => toggleNewScheduleValue('states', jurisdiction.abbreviation)}
+                          />
+                          {jurisdiction.abbreviation}
+                        </label>
+                      ))}
+                      <span className="hint">{newSchedule.states.length === 0 && '(none selected = all)'}</span>
+                    </div>
+                    <div className="scope-group">
+                      <strong>Phases:</strong>
+                      {['discovery', 'offers'].map((phase) => (
+                        <label key={phase}>
+                          <input
+                            type="checkbox"
+                            checked={newSchedule.phases.includes(phase)}
+                            onChange={() => toggleNewScheduleValue('phases', phase)}
+                          />
+                          {phase}
+                        </label>
+                      ))}
+                    </div>
+                    <div className="scope-group">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={newSchedule.dryRun}
+                          onChange={(e) => setNewSchedule(prev => ({ ...prev, dryRun: e.target.checked }))}
+                        />
+                        Dry run
+                      </label>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={newSchedule.forceRefresh}
+                          onChange={(e) => setNewSchedule(prev => ({ ...prev, forceRefresh: e.target.checked }))}
+                        />
+                        Ignore cached results
+                      </label>
+                    </div>
+                    <div className="scope-group">
+                      <label>
+                        <strong>Budget (USD):</strong>
+                        <input
+                          type="number"
+                          min="0.01"
+                          step="0.01"
+                          placeholder="no limit"
+                          value={newSchedule.budgetUsd}
+                          onChange={(e) => setNewSchedule(prev => ({ ...prev, budgetUsd: e.target.value }))}
+                        />
+                      </label>
+                    </div>
+                  </div>
+                  <button type="submit" className="btn btn-primary" disabled={newSchedule.phases.length === 0}>
+                    ➕ Add Schedule
+                  </button>
+                </form>
+
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Cron</th>
+                      <th>Scope</th>
+                      <th>Next Run</th>
+                      <th>Last Run</th>
+                      <th>Enabled</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {schedules.length === 0 && (
+                      <tr><td colSpan="7">No schedules yet.</td></tr>
+                    )}
+                    {schedules.map((schedule) => (
+                      <tr key={schedule._id}>
+                        <td>{schedule.name}</td>
+                        <td><code>{schedule.cron}</code></td>
+                        <td>{describeScope(schedule.scope)}</td>
+                        <td>{schedule.enabled && schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : '—'}</td>
+                        <td>
+                          {schedule.lastRunAt ? (
+                            <span title={schedule.lastMessage}>
+                              {new Date(schedule.lastRunAt).toLocaleString()}{' '}
+                              <span className={`status ${schedule.lastResult}`}>{schedule.lastResult}</span>
+                            </span>
+                          ) : 'never'}
+                        </td>
+                        <td>
+                          <input type="checkbox" checked={schedule.enabled} onChange={() => handleToggleSchedule(schedule)} />
+                        </td>
+                        <td>
+                          <button className="btn btn-small" onClick={() => handleDeleteSchedule(schedule)}>🗑️ Delete</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <h2>Baseline Sources</h2>
+                <p className="schedule-hint">
+                  <strong>Initialize</strong> loads the internal offer baseline from every enabled source. The field map says where each
+                  field is in a source's records (a column name or a dotted path such as <code>state.Abbreviation</code>); fields left out use the
+                  type's default names (<code>casinoName</code>, <code>stateAbbreviation</code>, <code>offerName</code>, <code>offerType</code>,{' '}
+                  <code>expectedDeposit</code>, <code>expectedBonus</code>, …).
+                </p>
+
+                <form className="schedule-form" onSubmit={handleCreateSource}>
+                  <input
+                    type="text"
+                    value={newSource.name}
+                    onChange={(e) => setNewSource(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Name, e.g. Partner spreadsheet"
+                    required
+                  />
+                  <select value={newSource.type} onChange={(e) => setNewSource(prev => ({ ...prev, type: e.target.value }))}>
+                    <option value="file">CSV / JSON upload</option>
+                    <option value="http-json">HTTP JSON</option>
+                    <option value="xano">Xano feed</option>
+                  </select>
+                  {newSource.type !== 'file' && (
+                    <input
+                      type="url"
+                      value={newSource.url}
+                      onChange={(e) => setNewSource(prev => ({ ...prev, url: e.target.value }))}
+                      placeholder="https://example.com/offers.json"
+                      required={newSource.type === 'http-json'}
+                    />
+                  )}
+                  <input
+                    type="text"
+                    value={newSource.recordsPath}
+                    onChange={(e) => setNewSource(prev => ({ ...prev, recordsPath: e.target.value }))}
+                    placeholder="Records path (JSON only), e.g. data.items"
+                  />
+                  <input
+                    type="text"
+                    value={newSource.fieldMap}
+                    onChange={(e) => setNewSource(prev => ({ ...prev, fieldMap: e.target.value }))}
+                    placeholder='Field map JSON, e.g. {"casinoName": "Casino"}'
+                  />
+                  <button type="submit" className="btn btn-primary">➕ Add Source</button>
+                </form>
+
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Type</th>
+                      <th>Data</th>
+                      <th>Last Import</th>
+                      <th>Enabled</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {baselineSources.length === 0 && (
+                      <tr><td colSpan="6">No baseline sources yet.</td></tr>
+                    )}
+                    {baselineSources.map((source) => (
+                      <tr key={source._id}>
+                        <td>{source.name}</td>
+                        <td>{source.type}</td>
+                        <td>
+                          {source.type === 'file' ? (
+                            <>
+                              {source.upload?.uploadedAt
+                                ? <div>{source.upload.filename || source.upload.format} ({source.upload.records} records)</div>
+                                : <div>No file yet</div>}
+                              <input type="file" accept=".csv,.json" onChange={(e) => handleUploadSource(source, e.target.files[0])} />
+                            </>
+                          ) : <code>{source.config?.url || 'default URL'}</code>}
+                        </td>
+                        <td>
+                          {source.lastImport?.at ? (
+                            <span title={source.lastImport.error}>
+                              {new Date(source.lastImport.at).toLocaleString()}{' '}
+                              <span className={`status ${source.lastImport.status}`}>{source.lastImport.status}</span>
+                              {source.lastImport.status === 'completed' && (
+                                <div className="diff-note">
+                                  {source.lastImport.offers} offers{source.lastImport.skipped ? `, ${source.lastImport.skipped} skipped` : ''}
+                                </div>
+                              )}
+                            </span>
+                          ) : 'never'}
+                        </td>
+                        <td>
+                          <input type="checkbox" checked={source.enabled} onChange={() => handleToggleSource(source)} />
+                        </td>
+                        <td>
+                          <button className="btn btn-small" onClick={() => handlePreviewSource(source)}>🔎 Preview</button>{' '}
+                          <button className="btn btn-small" onClick={() => handleDeleteSource(source)}>🗑️ Delete</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <h2>Webhooks</h2>
+                <p className="schedule-hint">
+                  Events are POSTed as JSON signed with the subscription's secret: <code>X-Webhook-Signature</code> is{' '}
+                  <code>sha256=</code> plus the HMAC-SHA256 of <code>{'<X-Webhook-Timestamp>.<body>'}</code>. Failed deliveries are retried with backoff.
+                </p>
+
+                <form className="schedule-form" onSubmit={handleCreateWebhook}>
+                  <input
+                    type="text"
+                    value={newWebhook.name}
+                    onChange={(e) => setNewWebhook(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Name, e.g. Slack relay"
+                    required
+                  />
+                  <input
+                    type="url"
+                    value={newWebhook.url}
+                    onChange={(e) => setNewWebhook(prev => ({ ...prev, url: e.target.value }))}
+                    placeholder="https://example.com/hooks/casino-research"
+                    required
+                  />
+                  <div className="run-scope">
+                    <div className="scope-group">
+                      <strong>Events:</strong>
+                      {WEBHOOK_EVENTS.map((event) => (
+                        <label key={event}>
+                          <input
+                            type="checkbox"
+                            checked={newWebhook.events.includes(event)}
+                            onChange={() => toggleNewWebhookEvent(event)}
+                          />
+                          {event}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <button type="submit" className="btn btn-primary" disabled={newWebhook.events.length === 0}>
+                    ➕ Add Webhook
+                  </button>
+                </form>
+
+                {createdWebhookSecret && (
+                  <div className="webhook-secret">
+                    Secret for <strong>{createdWebhookSecret.name}</strong> (shown once, copy it now):{' '}
+                    <code>{createdWebhookSecret.secret}</code>
+                    <button className="btn btn-small" onClick={() => setCreatedWebhookSecret(null)}>Dismiss</button>
+                  </div>
+                )}
+
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>URL</th>
+                      <th>Events</th>
+                      <th>Secret</th>
+                      <th>Last Delivery</th>
+                      <th>Enabled</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {webhooks.length === 0 && (
+                      <tr><td colSpan="7">No webhooks yet.</td></tr>
+                    )}
+                    {webhooks.map((webhook) => (
+                      <tr key={webhook._id}>
+                        <td>{webhook.name}</td>
+                        <td><code>{webhook.url}</code></td>
+                        <td>{webhook.events.join(', ')}</td>
+                        <td><code>{webhook.secret}</code></td>
+                        <td>
+                          {webhook.lastDeliveryAt ? (
+                            <span>
+                              {new Date(webhook.lastDeliveryAt).toLocaleString()}{' '}
+                              <span className={`status ${webhook.lastDeliveryStatus}`}>{webhook.lastDeliveryStatus}</span>
+                            </span>
+                          ) : 'never'}
+                        </td>
+                        <td>
+                          <input type="checkbox" checked={webhook.enabled} onChange={() => handleToggleWebhook(webhook)} />
+                        </td>
+                        <td>
+                          <button className="btn btn-small" onClick={() => handleShowDeliveries(webhook)}>📜 Deliveries</button>{' '}
+                          <button className="btn btn-small" onClick={() => handleWebhookAction(webhook, 'test')}>📨 Test</button>{' '}
+                          <button className="btn btn-small" onClick={() => handleDeleteWebhook(webhook)}>🗑️ Delete</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {webhookDeliveries && (
+                  <div className="webhook-deliveries">
+                    <div className="offer-history-header">
+                      <h3>Deliveries: {webhookDeliveries.webhook.name}</h3>
+                      <button className="btn btn-small" onClick={() => setWebhookDeliveries(null)}>✖ Close</button>
+                    </div>
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th>Created</th>
+                          <th>Event</th>
+                          <th>Status</th>
+                          <th>Attempts</th>
+                          <th>Last Attempt</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {webhookDeliveries.deliveries.length === 0 && (
+                          <tr><td colSpan="6">No deliveries yet.</td></tr>
+                        )}
+                        {webhookDeliveries.deliveries.map((delivery) => {
+                          const last = delivery.attempts[delivery.attempts.length - 1];
+                          return (
+                            <tr key={delivery._id}>
+                              <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                              <td><code>{delivery.event}</code></td>
+                              <td>
+                                <span className={`status ${delivery.status}`}>{delivery.status}</span>
+                                {delivery.status === 'pending' && delivery.nextAttemptAt && (
+                                  <div className="diff-note">next try {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</div>
+                                )}
+                              </td>
+                              <td>{delivery.attemptCount}</td>
+                              <td title={last?.response}>
+                                {last ? `${last.statusCode ?? '—'}${last.error ? ` · ${last.error}` : ''} (${last.durationMs ?? 0}ms)` : '—'}
+                              </td>
+                              <td>
+                                {delivery.status !== 'pending' && (
+                                  <button
+                                    className="btn btn-small"
+                                    onClick={() => handleWebhookAction(webhookDeliveries.webhook, `deliveries/${delivery._id}/redeliver`)}
+                                  >
+                                    🔁 Redeliver
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <h2>Users</h2>
+                <p className="schedule-hint">
+                  Viewers can read everything; analysts can also review, analyze and resolve duplicates; admins can
+                  initialize, run research, delete offers and change settings. Disabled users can't sign in and their API keys stop working.
+                </p>
+                <form className="schedule-form" onSubmit={handleCreateUser}>
+                  <input
+                    type="email"
+                    value={newUser.email}
+                    onChange={(e) => setNewUser(prev => ({ ...prev, email: e.target.value }))}
+                    placeholder="Email"
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={newUser.name}
+                    onChange={(e) => setNewUser(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Name (optional)"
+                  />
+                  <input
+                    type="password"
+                    value={newUser.password}
+                    onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+                    placeholder="Initial password"
+                    autoComplete="new-password"
+                    required
+                  />
+                  <select value={newUser.role} onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value }))}>
+                    {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                  <button type="submit" className="btn btn-primary">➕ Add User</button>
+                </form>
+
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Email</th>
+                      <th>Name</th>
+                      <th>Role</th>
+                      <th>Last Sign-in</th>
+                      <th>Enabled</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {users.map((account) => (
+                      <tr key={account._id}>
+                        <td>{account.email}</td>
+                        <td>{account.name}</td>
+                        <td>
+                          <select value={account.role} onChange={(e) => handleUpdateUser(account, { role: e.target.value })}>
+                            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                          </select>
+                        </td>
+                        <td>{account.lastLoginAt ? new Date(account.lastLoginAt).toLocaleString() : 'never'}</td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={!account.disabled}
+                            onChange={() => handleUpdateUser(account, { disabled: !account.disabled })}
+                          />
+                        </td>
+                        <td>
+                          <button className="btn btn-small" onClick={() => handleResetPassword(account)}>🔑 Reset password</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
           </div>
         )}
       </div>
@@ -555,4 +2644,33 @@ function App() {
   );
 }
 
+// Keeps the session in localStorage; signing out (or any 401) drops it
+function App() {
+  const [session, setSession] = useState(loadSession);
+
+  useEffect(() => {
+    const signOut = () => {
+      localStorage.removeItem(SESSION_KEY);
+      setSession(null);
+    };
+    window.addEventListener(SIGNED_OUT_EVENT, signOut);
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, signOut);
+  }, []);
+
+  const handleSignIn = (data) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(data));
+    setSession(data);
+  };
+
+  if (!session) return <Login onSignIn={handleSignIn} />;
+  return (
+    <Dashboard
+      key={session.user.id}
+      user={session.user}
+      onSessionRenewed={handleSignIn}
+      onSignOut={() => window.dispatchEvent(new Event(SIGNED_OUT_EVENT))}
+    />
+  );
+}
+
 export default App;
\ No newline at end of file
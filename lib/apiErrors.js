@@ -0,0 +1,59 @@
+import { s, validate, formatErrors } from './schema.js';
+
+// ==================== API ERRORS ====================
+// Every failed request is answered with
+//   { error: { code, message, details } }
+// Routes throw an ApiError, or let a known error class propagate, and the
+// error middleware at the end of server.js writes the response.
+
+export class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const badRequest = (message, details) => new ApiError(400, 'bad_request', message, details);
+export const unauthorized = (message) => new ApiError(401, 'unauthorized', message);
+export const forbidden = (message) => new ApiError(403, 'forbidden', message);
+export const notFound = (message) => new ApiError(404, 'not_found', message);
+export const conflict = (message, details) => new ApiError(409, 'conflict', message, details);
+export const upstreamError = (message, details) => new ApiError(502, 'upstream_error', message, details);
+
+export const errorBody = (error) => ({
+  error: { code: error.code, message: error.message, details: error.details ?? null },
+});
+
+// ---- Request validation ----
+
+export const objectId = (opts = {}) => s.string({ pattern: /^[0-9a-f]{24}$/i, patternMessage: 'must be a valid id', ...opts });
+
+// The usual `:id` route parameter
+export const idParams = s.object({ id: objectId() });
+
+// Route middleware checking `params`, `query` and `body` against schemas
+// (see schema.js). The coerced values replace the originals, so handlers
+// only ever see declared fields; anything else is dropped. A failure is a
+// 400 `validation_failed` listing every problem, prefixed with where it was.
+export function validateRequest({ params, query, body, message = 'Invalid request' }) {
+  const parts = Object.entries({ params, query, body }).filter(([, schema]) => schema);
+  return (req, res, next) => {
+    const details = [];
+    const values = {};
+    for (const [part, schema] of parts) {
+      const { value, errors } = validate(schema, req[part] ?? {});
+      details.push(...formatErrors(errors.map(error => ({ ...error, path: `${part}.${error.path}` }))));
+      values[part] = value;
+    }
+    if (details.length > 0) throw new ApiError(400, 'validation_failed', message, details);
+
+    if (values.params) req.params = values.params;
+    if (values.body) req.body = values.body;
+    // req.query is a getter in Express 5, so it is shadowed rather than set
+    if (values.query) Object.defineProperty(req, 'query', { value: values.query, configurable: true, enumerable: true });
+    next();
+  };
+}
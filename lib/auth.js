@@ -0,0 +1,99 @@
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+// ==================== AUTHENTICATION ====================
+// Passwords are hashed with scrypt; sessions are HS256 JWTs; API keys are
+// random tokens stored only as a SHA-256 hash. Roles are ordered, so a route
+// that needs `analyst` also admits `admin`.
+
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+export function hasRole(role, required) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank >= ROLES.indexOf(required);
+}
+
+// The lower of two roles, e.g. an API key can't outrank the user who owns it
+export const lowerRole = (a, b) => (ROLES.indexOf(a) <= ROLES.indexOf(b) ? a : b);
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// ---- Passwords ----
+
+const scryptAsync = promisify(scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Stored as scrypt$N$r$p$salt$hash so the cost can be raised later without
+// breaking existing hashes
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64url'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return timingSafeEqual(expected, actual);
+}
+
+// ---- Session tokens ----
+
+const base64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+const jwtSignature = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+export function signJwt(payload, secret, { expiresInSec }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const data = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ ...payload, iat, exp: iat + expiresInSec })}`;
+  return `${data}.${jwtSignature(data, secret)}`;
+}
+
+// Returns the payload of a valid, unexpired token
+export function verifyJwt(token, secret) {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) throw new AuthError('Malformed token');
+
+  const expected = Buffer.from(jwtSignature(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) throw new AuthError('Invalid token');
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') throw new AuthError('Invalid token');
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw error instanceof AuthError ? error : new AuthError('Malformed token');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) throw new AuthError('Session expired');
+  return claims;
+}
+
+// ---- API keys ----
+
+const API_KEY_PREFIX = 'cak_';
+
+export const isApiKey = (token) => String(token).startsWith(API_KEY_PREFIX);
+
+// Keys are long random strings, so a plain hash is enough to store them
+export const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+// The key itself is only returned once; `prefix` identifies it afterwards
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashApiKey(key) };
+}
@@ -0,0 +1,159 @@
+import axios from 'axios';
+import { parseCsv } from './csv.js';
+import { s, validate, formatErrors } from './schema.js';
+
+// ==================== BASELINE SOURCES ====================
+// Where `/api/research/init` loads the internal offer baseline from. A
+// source has a type (its adapter), adapter config and a field map that says
+// where each baseline field sits in the source's records, as a dotted path
+// (`state.Abbreviation`) or a CSV column name. Adapters only fetch raw
+// records; mapping and validation are shared.
+
+export const BASELINE_FIELDS = [
+  'casinoName',
+  'state',
+  'stateAbbreviation',
+  'offerName',
+  'offerType',
+  'expectedDeposit',
+  'expectedBonus',
+  'description',
+  'terms',
+  'casinodb_id',
+];
+
+// A mapped record must look like this; amounts such as "$1,000" are coerced
+export const baselineRecordSchema = s.object({
+  casinoName: s.string({ min: 1 }),
+  state: s.string({ optional: true }),
+  stateAbbreviation: s.string({ pattern: /^[A-Za-z]{2}$/ }),
+  offerName: s.string({ min: 1 }),
+  offerType: s.string({ default: 'unknown' }),
+  expectedDeposit: s.number({ min: 0, default: 0 }),
+  expectedBonus: s.number({ min: 0, default: 0 }),
+  description: s.string({ optional: true }),
+  terms: s.string({ optional: true }),
+  casinodb_id: s.integer({ optional: true }),
+});
+
+// Field names as they are in the baseline schema, the default for uploads
+// and generic HTTP feeds
+const IDENTITY_FIELD_MAP = Object.fromEntries(BASELINE_FIELDS.map(field => [field, field]));
+
+// The Xano feed the app was originally built against
+export const XANO_DEFAULT_URL = 'https://xhks-nxia-vlqr.n7c.xano.io/api:1ZwRS-f0/activeSUB';
+const XANO_FIELD_MAP = {
+  casinoName: 'Name',
+  state: 'state.Name',
+  stateAbbreviation: 'state.Abbreviation',
+  offerName: 'Offer_Name',
+  offerType: 'offer_type',
+  expectedDeposit: 'Expected_Deposit',
+  expectedBonus: 'Expected_Bonus',
+  casinodb_id: 'casinodb_id',
+};
+
+export class BaselineSourceError extends Error {
+  constructor(source, message) {
+    super(`${source.name}: ${message}`);
+    this.name = 'BaselineSourceError';
+  }
+}
+
+export const getPath = (value, path) => String(path).split('.').reduce((current, key) => current?.[key], value);
+
+// Uploaded files are CSV or JSON; JSON may be an array of records or an
+// object holding one under `recordsPath`
+export function parseUpload(content, format, recordsPath) {
+  if (format === 'csv') return parseCsv(content);
+  const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+  const records = recordsPath ? getPath(parsed, recordsPath) : parsed;
+  if (!Array.isArray(records)) {
+    throw new Error(`Expected an array of records${recordsPath ? ` at "${recordsPath}"` : ''}`);
+  }
+  return records;
+}
+
+// Guesses the format of an upload from its name or first character
+export function detectUploadFormat(content, filename = '') {
+  if (/\.csv$/i.test(filename)) return 'csv';
+  if (/\.json$/i.test(filename)) return 'json';
+  if (typeof content !== 'string') return 'json';
+  return /^\s*[[{]/.test(content) ? 'json' : 'csv';
+}
+
+async function fetchJson(source, url) {
+  if (!url) throw new BaselineSourceError(source, 'no URL configured');
+  const headers = Object.fromEntries((source.config?.headers || []).map(({ name, value }) => [name, value]));
+  const response = await axios.get(url, { headers, timeout: 60000 });
+  const records = source.config?.recordsPath ? getPath(response.data, source.config.recordsPath) : response.data;
+  if (!Array.isArray(records)) {
+    throw new BaselineSourceError(source, `expected an array of records${source.config?.recordsPath ? ` at "${source.config.recordsPath}"` : ''}`);
+  }
+  return records;
+}
+
+// Each adapter turns a source document into raw records
+export const BASELINE_ADAPTERS = {
+  xano: {
+    description: 'The Xano active-offers feed',
+    defaultFieldMap: XANO_FIELD_MAP,
+    fetchRecords: (source) => fetchJson(source, source.config?.url || XANO_DEFAULT_URL),
+  },
+  'http-json': {
+    description: 'Any HTTP endpoint returning a JSON array of offers',
+    defaultFieldMap: IDENTITY_FIELD_MAP,
+    fetchRecords: (source) => fetchJson(source, source.config?.url),
+  },
+  file: {
+    description: 'An uploaded CSV or JSON file',
+    defaultFieldMap: IDENTITY_FIELD_MAP,
+    fetchRecords: async (source) => {
+      if (!source.upload?.content) throw new BaselineSourceError(source, 'no file uploaded yet');
+      try {
+        return parseUpload(source.upload.content, source.upload.format, source.config?.recordsPath);
+      } catch (error) {
+        throw new BaselineSourceError(source, `could not parse ${source.upload.filename || 'upload'}: ${error.message}`);
+      }
+    },
+  },
+};
+
+export const BASELINE_SOURCE_TYPES = Object.keys(BASELINE_ADAPTERS);
+
+// The source's own mapping over the adapter default, so a source only
+// lists the fields it names differently
+export function effectiveFieldMap(source) {
+  return { ...BASELINE_ADAPTERS[source.type].defaultFieldMap, ...(source.fieldMap || {}) };
+}
+
+export function mapBaselineRecord(raw, fieldMap) {
+  const mapped = {};
+  for (const [field, path] of Object.entries(fieldMap)) {
+    if (!path) continue;
+    const value = getPath(raw, path);
+    if (value !== undefined && value !== null && value !== '') mapped[field] = value;
+  }
+  return validate(baselineRecordSchema, mapped);
+}
+
+// Fetches and maps a source's records. Records that don't map to a valid
+// offer are returned in `skipped` with the reason rather than failing the load.
+export async function loadBaselineRecords(source) {
+  const adapter = BASELINE_ADAPTERS[source.type];
+  if (!adapter) throw new BaselineSourceError(source, `unknown source type "${source.type}"`);
+
+  const raw = await adapter.fetchRecords(source);
+  const fieldMap = effectiveFieldMap(source);
+  const records = [];
+  const skipped = [];
+  raw.forEach((item, index) => {
+    const { value, errors } = mapBaselineRecord(item, fieldMap);
+    if (errors.length > 0) {
+      skipped.push({ index, errors: formatErrors(errors) });
+    } else {
+      records.push({ ...value, stateAbbreviation: value.stateAbbreviation.toUpperCase() });
+    }
+  });
+  return { records, skipped, total: raw.length };
+}
@@ -0,0 +1,121 @@
+// ==================== BASELINE SYNC ====================
+// Reconciles the internal offers and casinos a baseline source imported
+// earlier against what the source returns now: records not seen before are
+// added, changed ones updated, and ones the source no longer has are marked
+// inactive (and reactivated if they come back). Only the plan is computed
+// here; applying it is up to the caller, so a preview is the same plan
+// left unapplied.
+
+// Fields init keeps in step with the source. Name fields are included so a
+// change in capitalisation is picked up; matching ignores case.
+export const OFFER_SYNC_FIELDS = [
+  'casinoName',
+  'offerName',
+  'state',
+  'offerType',
+  'expectedDeposit',
+  'expectedBonus',
+  'description',
+  'terms',
+  'casinodb_id',
+];
+
+// `discovered` flips when a casino research found turns up in the baseline
+export const CASINO_SYNC_FIELDS = ['name', 'state', 'casinodb_id', 'discovered'];
+
+const keyPart = (value) => String(value ?? '').trim().toLowerCase();
+export const offerSyncKey = (o) => [o.casinoName, o.stateAbbreviation, o.offerName].map(keyPart).join('|');
+export const casinoSyncKey = (c) => [c.name, c.stateAbbreviation].map(keyPart).join('|');
+
+const normalize = (value) => (value === undefined || value === '' ? null : value);
+
+// Fields the record states that differ from the stored document. Fields the
+// source doesn't provide are left alone rather than cleared.
+function fieldChanges(existing, record, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const to = normalize(record[field]);
+    if (to === null) continue;
+    const from = normalize(existing[field]);
+    if (from !== to) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+function planEntities(records, existingDocs, keyOf, fields, isOwned) {
+  const existing = new Map(existingDocs.map(doc => [keyOf(doc), doc]));
+  const plan = { add: [], update: [], deactivate: [], unchanged: [] };
+  const seen = new Set();
+
+  for (const record of records) {
+    const key = keyOf(record);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const doc = existing.get(key);
+    if (!doc) {
+      plan.add.push(record);
+      continue;
+    }
+    const changes = fieldChanges(doc, record, fields);
+    if (doc.active === false) changes.push({ field: 'active', from: false, to: true });
+    if (changes.length > 0) plan.update.push({ existing: doc, record, changes });
+    else plan.unchanged.push(doc);
+  }
+
+  for (const [key, doc] of existing) {
+    if (!seen.has(key) && doc.active !== false && isOwned(doc)) plan.deactivate.push(doc);
+  }
+  return plan;
+}
+
+// `records` are mapped baseline records (see baselineSources.js); `offers`
+// and `casinos` are every stored internal offer and casino they could match.
+// Only documents `isOwned` by this source are deactivated when missing, so
+// one source never retires what another imported.
+export function planBaselineSync({ records, offers, casinos, isOwned = () => true }) {
+  const duplicates = [];
+  const seenOffers = new Set();
+  for (const record of records) {
+    const key = offerSyncKey(record);
+    if (seenOffers.has(key)) duplicates.push({ casinoName: record.casinoName, stateAbbreviation: record.stateAbbreviation, offerName: record.offerName });
+    seenOffers.add(key);
+  }
+
+  const casinoRecords = records.map(record => ({
+    name: record.casinoName,
+    state: record.state,
+    stateAbbreviation: record.stateAbbreviation,
+    casinodb_id: record.casinodb_id,
+    discovered: false,
+  }));
+
+  return {
+    offers: planEntities(records, offers, offerSyncKey, OFFER_SYNC_FIELDS, isOwned),
+    casinos: planEntities(casinoRecords, casinos, casinoSyncKey, CASINO_SYNC_FIELDS, casino => !casino.discovered && isOwned(casino)),
+    duplicates,
+  };
+}
+
+const countPlan = (plan) => ({
+  added: plan.add.length,
+  updated: plan.update.length,
+  deactivated: plan.deactivate.length,
+  unchanged: plan.unchanged.length,
+});
+
+// Counts, plus the planned changes in a form that can be sent as JSON
+export function describeBaselineSync(plan, { limit = Infinity } = {}) {
+  const offerLabel = (o) => ({ id: o._id, casinoName: o.casinoName, stateAbbreviation: o.stateAbbreviation, offerName: o.offerName });
+  const casinoLabel = (c) => ({ id: c._id, name: c.name, stateAbbreviation: c.stateAbbreviation });
+  const section = (entityPlan, label) => ({
+    ...countPlan(entityPlan),
+    add: entityPlan.add.slice(0, limit).map(label),
+    update: entityPlan.update.slice(0, limit).map(({ existing, changes }) => ({ ...label(existing), changes })),
+    deactivate: entityPlan.deactivate.slice(0, limit).map(label),
+  });
+  return {
+    offers: section(plan.offers, offerLabel),
+    casinos: section(plan.casinos, casinoLabel),
+    duplicates: plan.duplicates.slice(0, limit),
+  };
+}
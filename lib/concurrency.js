@@ -0,0 +1,101 @@
+// ==================== CONCURRENCY HELPERS ====================
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs worker(item, index) over items with at most `concurrency` in flight.
+// Results keep the input order; a worker that throws rejects the whole pool,
+// so workers are expected to handle their own per-item failures.
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+// Classic token bucket: `capacity` tokens, refilled continuously at
+// `refillPerSecond`. acquire() resolves once a token is available.
+export function createTokenBucket({ capacity, refillPerSecond }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  };
+
+  const take = async () => {
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / refillPerSecond) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    // Waiters are chained so tokens are handed out in FIFO order
+    acquire() {
+      const turn = queue.then(take);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+  };
+}
+
+// HTTP statuses and socket errors that are worth another attempt
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK']);
+
+export function isTransientError(error) {
+  const status = error.response?.status ?? error.status;
+  if (status) return RETRYABLE_STATUSES.has(status);
+  return RETRYABLE_CODES.has(error.code) || error.name === 'APIConnectionError';
+}
+
+function retryAfterMs(error) {
+  // axios exposes a plain object, the Anthropic SDK a fetch Headers instance
+  const headers = error.response?.headers ?? error.headers;
+  const header = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Retries fn() on transient errors with exponential backoff and jitter,
+// honouring Retry-After when the provider sends one.
+// The final error carries `attempts` so callers can report it.
+export async function withRetry(fn, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  isRetryable = isTransientError,
+  onRetry = () => {},
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delay = retryAfterMs(error) ?? Math.round(backoff / 2 + Math.random() * (backoff / 2));
+      await onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
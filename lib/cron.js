@@ -0,0 +1,125 @@
+// ==================== CRON ====================
+// Standard five-field cron expressions (minute hour day-of-month month
+// day-of-week) evaluated in the server's local time. Supports `*`, lists,
+// ranges, steps, month and weekday names and the @hourly/@daily/@weekly/
+// @monthly shorthands. As in Vixie cron, when both day fields are
+// restricted a time matches if either one does.
+
+export class CronError extends Error {
+  constructor(expression, message) {
+    super(`Invalid cron expression "${expression}": ${message}`);
+    this.name = 'CronError';
+    this.expression = expression;
+  }
+}
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is accepted as another spelling of Sunday
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+function parseValue(token, field, expression) {
+  const lower = token.toLowerCase();
+  const named = field.names?.indexOf(lower) ?? -1;
+  const value = named >= 0 ? named + field.offset : Number(token);
+  if (!/^\w+$/.test(token) || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new CronError(expression, `${field.name} value "${token}" must be ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(source, field, expression) {
+  const values = new Set();
+  for (const part of source.split(',')) {
+    const [range, stepText, ...extraSteps] = part.split('/');
+    if (extraSteps.length > 0) throw new CronError(expression, `${field.name} "${part}" has more than one step`);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(expression, `${field.name} step "${stepText}" must be a positive integer`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) throw new CronError(expression, `${field.name} range "${range}" must be two values joined by "-"`);
+      const [from, to] = bounds;
+      [start, end] = [parseValue(from, field, expression), parseValue(to, field, expression)];
+      if (start > end) throw new CronError(expression, `${field.name} range "${range}" is backwards`);
+    } else {
+      start = parseValue(range, field, expression);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  if (field.name === 'dayOfWeek' && values.delete(7)) values.add(0);
+  return values;
+}
+
+export function parseCron(expression) {
+  const source = SHORTHANDS[String(expression).trim().toLowerCase()] ?? String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new CronError(expression, `expected 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+  const parsed = { expression };
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field, expression);
+  });
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  return dom && dow;
+}
+
+// Next time strictly after `after` that matches; null if nothing matches
+// within five years (e.g. "0 0 31 2 *")
+export function nextCronTime(expressionOrParsed, after = new Date()) {
+  const cron = typeof expressionOrParsed === 'string' ? parseCron(expressionOrParsed) : expressionOrParsed;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date < limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,94 @@
+// ==================== CASINO ENTITY RESOLUTION ====================
+// Decides whether a casino name from discovery refers to a casino we already
+// track. Names are normalized (case, punctuation, ampersands, generic words
+// like "Casino" or "Online") and then scored for fuzzy similarity against
+// each casino's name and stored aliases.
+
+// Words that describe the kind of venue rather than identify it
+const GENERIC_WORDS = new Set([
+  'the', 'and', 'casino', 'online', 'resort', 'hotel', 'spa',
+  'racetrack', 'racino', 'gaming', 'llc', 'inc', 'co', 'com', 'net',
+]);
+
+export function normalizeCasinoName(name) {
+  const tokens = String(name ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/\+/g, ' plus ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    // Plurals and possessives with the apostrophe dropped: "Harrah's" vs "Harrahs"
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+  const significant = tokens.filter(token => !GENERIC_WORDS.has(token));
+  // "Casino Online" style names would otherwise normalize to nothing
+  return (significant.length > 0 ? significant : tokens).join(' ');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Similarity of two already-normalized names in [0, 1]: the better of the
+// edit-distance ratio (typos, spacing) and token overlap (word order, extra
+// words such as a city name)
+export function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const editRatio = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  const tokensA = new Set(a.split(' '));
+  const tokensB = new Set(b.split(' '));
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const dice = (2 * shared) / (tokensA.size + tokensB.size);
+  // One name fully containing the other ("borgata" vs "borgata atlantic city")
+  const containment = shared / Math.min(tokensA.size, tokensB.size);
+
+  return Math.max(editRatio, dice, containment * 0.85);
+}
+
+export const DEFAULT_RESOLUTION_THRESHOLDS = {
+  match: 0.9,
+  review: 0.75,
+};
+
+// Compares `name` against every candidate's name and aliases and returns
+//   { status: 'match' | 'possible' | 'none', casino, score, matchedOn }
+// where matchedOn is the candidate name or alias that scored best.
+export function resolveCasino(name, candidates, thresholds = DEFAULT_RESOLUTION_THRESHOLDS) {
+  const normalized = normalizeCasinoName(name);
+  let best = { status: 'none', casino: null, score: 0, matchedOn: null };
+
+  for (const casino of candidates) {
+    for (const label of [casino.name, ...(casino.aliases || [])]) {
+      const score = nameSimilarity(normalized, normalizeCasinoName(label));
+      if (score > best.score) {
+        best = { status: 'none', casino, score, matchedOn: label };
+      }
+    }
+  }
+
+  if (best.score >= thresholds.match) best.status = 'match';
+  else if (best.score >= thresholds.review) best.status = 'possible';
+  best.score = Math.round(best.score * 1000) / 1000;
+  return best;
+}
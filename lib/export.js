@@ -0,0 +1,169 @@
+import { buildXlsx } from './xlsx.js';
+
+// ==================== EXPORTS ====================
+// Turns offers, casinos and run reports into CSV, XLSX or JSON downloads.
+// A table is { name, columns: [{ header, value(record) }], records }; a CSV
+// of several tables puts them one after another under a title line, the
+// XLSX gets one sheet per table.
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+const cellValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('; ');
+  return value;
+};
+
+const tableRows = ({ columns, records }) => records.map(record => columns.map(column => cellValue(column.value(record))));
+
+// Researched text ends up in spreadsheets, so anything that would be read as
+// a formula is prefixed with a quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(',');
+
+export function toCsv(tables) {
+  const sections = tables.map(table => [
+    ...(tables.length > 1 ? [csvLine([table.name])] : []),
+    csvLine(table.columns.map(column => column.header)),
+    ...tableRows(table).map(csvLine),
+  ].join('\r\n'));
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${sections.join('\r\n\r\n')}\r\n`;
+}
+
+export function toXlsx(tables) {
+  return buildXlsx(tables.map(table => ({
+    name: table.name,
+    headers: table.columns.map(column => column.header),
+    rows: tableRows(table),
+  })));
+}
+
+// Returns { body, contentType, filename }; `json` is what the JSON format
+// sends, since it keeps the nesting the tables flatten
+export function renderExport(format, { tables, json, basename }) {
+  const body = format === 'xlsx' ? toXlsx(tables)
+    : format === 'json' ? JSON.stringify(json, null, 2)
+      : toCsv(tables);
+  return { body, contentType: CONTENT_TYPES[format], filename: `${basename}.${format}` };
+}
+
+// ---- Table definitions ----
+
+export const OFFER_EXPORT_COLUMNS = [
+  { header: 'Casino', value: o => o.casinoName },
+  { header: 'State', value: o => o.stateAbbreviation },
+  { header: 'Offer', value: o => o.offerName },
+  { header: 'Type', value: o => o.offerType },
+  { header: 'Deposit', value: o => o.expectedDeposit },
+  { header: 'Bonus', value: o => o.expectedBonus },
+  { header: 'Player Value', value: o => o.valueScore },
+  { header: 'Wagering', value: o => (o.wageringMultiplier ? `${o.wageringMultiplier}x ${o.wageringBase || ''}`.trim() : null) },
+  { header: 'Min Deposit', value: o => o.minDeposit },
+  { header: 'Max Bonus', value: o => o.maxBonus },
+  { header: 'Expiry Days', value: o => o.expiryDays },
+  { header: 'Free Spins', value: o => o.freeSpins },
+  { header: 'Promo Code', value: o => o.promoCode },
+  { header: 'Source', value: o => o.source },
+  { header: 'Baseline Source', value: o => o.baselineSourceName },
+  { header: 'Active', value: o => o.active !== false },
+  { header: 'Status', value: o => o.status },
+  { header: 'Review Status', value: o => o.reviewStatus },
+  { header: 'Reviewed By', value: o => o.reviewedBy },
+  { header: 'Last Seen', value: o => o.lastSeenAt },
+  { header: 'Discovered', value: o => o.discoveredDate },
+  { header: 'Description', value: o => o.description },
+  { header: 'Terms', value: o => o.terms },
+  { header: 'Offer ID', value: o => String(o._id) },
+];
+
+export const CASINO_EXPORT_COLUMNS = [
+  { header: 'Casino', value: c => c.name },
+  { header: 'State', value: c => c.state },
+  { header: 'Abbreviation', value: c => c.stateAbbreviation },
+  { header: 'Website', value: c => c.website },
+  { header: 'License Number', value: c => c.licenseNumber },
+  { header: 'Source', value: c => (c.discovered ? 'ai-research' : 'internal-api') },
+  { header: 'Baseline Source', value: c => c.baselineSourceName },
+  { header: 'Active', value: c => c.active !== false },
+  { header: 'Aliases', value: c => c.aliases },
+  { header: 'Created', value: c => c.createdAt },
+  { header: 'Last Updated', value: c => c.lastUpdated },
+  { header: 'Casino ID', value: c => String(c._id) },
+];
+
+const COMPARISON_GROUPS = [
+  ['current', 'currentOffers'],
+  ['discovered', 'discoveredOffers'],
+  ['new', 'newOffers'],
+];
+
+// A run report: a summary, the missing casinos and, per casino with new
+// offers, its current, discovered and new offers side by side
+export function runReportTables(run) {
+  const summary = [
+    ['Run ID', String(run._id)],
+    ['Status', run.status],
+    ['Started', run.startedAt],
+    ['Completed', run.completedAt],
+    ['States', run.scope?.states?.length ? run.scope.states : 'All enabled'],
+    ['Phases', run.scope?.phases?.length ? run.scope.phases : 'discovery, offers'],
+    ['Dry Run', Boolean(run.scope?.dryRun)],
+    ['Casinos Processed', run.casinosProcessed],
+    ['Missing Casinos', run.summary?.totalMissingCasinos],
+    ['New Offers', run.summary?.totalNewOffers],
+    ['Failures', run.summary?.totalFailures ?? run.failures?.length],
+    ['Failure Reason', run.failureReason],
+  ];
+
+  const missing = (run.missingCasinos || []).flatMap(entry => entry.casinos.map(casino => ({ state: entry.state, casino })));
+
+  const comparisonRows = (run.offerComparisons || []).flatMap(comparison => COMPARISON_GROUPS.flatMap(([group, key]) =>
+    (comparison[key] || []).map(offer => ({ comparison, group, offer }))));
+
+  return [
+    {
+      name: 'Summary',
+      columns: [{ header: 'Field', value: ([field]) => field }, { header: 'Value', value: ([, value]) => value }],
+      records: summary,
+    },
+    {
+      name: 'Missing Casinos',
+      columns: [{ header: 'State', value: m => m.state }, { header: 'Casino', value: m => m.casino }],
+      records: missing,
+    },
+    {
+      name: 'Offer Comparison',
+      columns: [
+        { header: 'State', value: r => r.comparison.state },
+        { header: 'Casino', value: r => r.comparison.casinoName },
+        { header: 'Group', value: r => r.group },
+        { header: 'Offer', value: r => r.offer.name },
+        { header: 'Type', value: r => r.offer.type },
+        { header: 'Deposit', value: r => r.offer.deposit },
+        { header: 'Bonus', value: r => r.offer.bonus },
+        { header: 'Match', value: r => r.offer.match?.verdict },
+        { header: 'Match Score', value: r => r.offer.match?.score },
+        { header: 'Closest Current Offer', value: r => r.offer.match?.matchedOffer?.name },
+        { header: 'Description', value: r => r.offer.description },
+        { header: 'Terms', value: r => r.offer.terms },
+      ],
+      records: comparisonRows,
+    },
+  ];
+}
@@ -0,0 +1,55 @@
+import { s } from './schema.js';
+
+// ==================== LIST QUERIES ====================
+// Sorting, paging and range filters shared by the list endpoints. `?sort=`
+// is a comma-separated list of fields, each descending when prefixed with
+// `-` (`-valueScore,casinoName`); `?page=` and `?limit=` page through the
+// result. Which filters a list takes is up to its endpoint.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+export const pageParams = {
+  page: s.integer({ min: 1, default: 1 }),
+  limit: s.integer({ min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }),
+};
+
+// The `?sort=` schema for a list sortable by `fields`. `aliases` name
+// common orders, e.g. { value: '-valueScore,-discoveredDate' }.
+export function sortParam(fields, aliases = {}) {
+  const keys = [...fields, ...fields.map(field => `-${field}`), ...Object.keys(aliases)];
+  return s.array(s.enum(keys), { optional: true, separator: ',' });
+}
+
+// A Mongo sort for validated `?sort=` keys. The first mention of a field
+// wins, and _id breaks ties so pages neither overlap nor skip documents.
+export function sortSpec(keys, aliases = {}) {
+  const sort = {};
+  for (const key of keys.flatMap(key => (aliases[key] ? aliases[key].split(',') : [key]))) {
+    const field = key.replace(/^-/, '');
+    if (!(field in sort)) sort[field] = key.startsWith('-') ? -1 : 1;
+  }
+  if (!('_id' in sort)) sort._id = 1;
+  return sort;
+}
+
+// `{ $gte, $lte }` for whichever bounds are given, or undefined for neither
+export function rangeFilter(min, max) {
+  if (min === undefined && max === undefined) return undefined;
+  return { ...(min !== undefined && { $gte: min }), ...(max !== undefined && { $lte: max }) };
+}
+
+// Case-insensitive exact match of any of `values`, for free-form fields
+// such as offerType where stored casing varies
+export const anyOfIgnoringCase = (values) => ({
+  $in: values.map(value => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')),
+});
+
+// One page of `model.find(filter)` plus the counts a pager needs
+export async function findPage(model, filter, { sort, page, limit, select }) {
+  const [items, total] = await Promise.all([
+    model.find(filter).select(select).sort(sort).skip((page - 1) * limit).limit(limit),
+    model.countDocuments(filter),
+  ]);
+  return { items, total, page, limit, pages: Math.max(Math.ceil(total / limit), 1) };
+}
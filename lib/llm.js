@@ -0,0 +1,214 @@
+import axios from 'axios';
+import Anthropic from '@anthropic-ai/sdk';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// ==================== LLM PROVIDERS ====================
+// Every provider exposes the same shape:
+//   { name, model, complete(prompt) -> Promise<{ text, model, usage }> }
+// where usage is { promptTokens, completionTokens } as the upstream reported
+// it, or null when it reported none (e.g. a replayed fixture).
+
+const DEFAULT_MODELS = {
+  openrouter: 'anthropic/claude-sonnet-4.5',
+  anthropic: 'claude-sonnet-4-5',
+};
+
+export function createOpenRouterProvider({
+  apiKey = process.env.OPENROUTER_API_KEY,
+  model = DEFAULT_MODELS.openrouter,
+} = {}) {
+  return {
+    name: 'openrouter',
+    model,
+    async complete(prompt) {
+      try {
+        const response = await axios.post(
+          'https://openrouter.ai/api/v1/chat/completions',
+          {
+            model,
+            messages: [
+              { role: 'user', content: prompt }
+            ],
+          },
+          {
+            headers: {
+              Authorization: `Bearer ${apiKey}`,
+              'Content-Type': 'application/json',
+              //'HTTP-Referer': process.env.APP_URL || 'http://localhost:5173',
+              //'X-Title': 'Casino AI Researcher',
+            },
+          }
+        );
+        return {
+          text: response.data.choices[0].message.content,
+          model: response.data.model || model,
+          usage: response.data.usage ? {
+            promptTokens: response.data.usage.prompt_tokens ?? 0,
+            completionTokens: response.data.usage.completion_tokens ?? 0,
+          } : null,
+        };
+      } catch (error) {
+        console.error('OpenRouter API error:', error.response?.data || error.message);
+        throw error;
+      }
+    },
+  };
+}
+
+export function createAnthropicProvider({
+  apiKey = process.env.ANTHROPIC_API_KEY,
+  model = DEFAULT_MODELS.anthropic,
+  maxTokens = Number(process.env.LLM_MAX_TOKENS) || 4096,
+} = {}) {
+  // Retries are handled by callClaudeAPI so they share the rate limiter
+  const client = new Anthropic({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'anthropic',
+    model,
+    async complete(prompt) {
+      try {
+        const message = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          messages: [
+            { role: 'user', content: prompt }
+          ],
+        });
+        const text = message.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+        const usage = message.usage ? {
+          promptTokens: message.usage.input_tokens ?? 0,
+          completionTokens: message.usage.output_tokens ?? 0,
+        } : null;
+        return { text, model: message.model || model, usage };
+      } catch (error) {
+        console.error('Anthropic API error:', error.error || error.message);
+        throw error;
+      }
+    },
+  };
+}
+
+// Fixtures are keyed by a hash of the prompt so the same pipeline run
+// always resolves to the same file, independent of the upstream model.
+export function fixtureKey(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 32);
+}
+
+// Serves recorded responses from disk.
+//   mode 'replay' - only serve fixtures, fail on a miss
+//   mode 'record' - always call the upstream provider and (re)write the fixture
+//   mode 'auto'   - serve the fixture if present, otherwise record it
+export function createReplayProvider({
+  dir = process.env.LLM_FIXTURES_DIR || 'fixtures/llm',
+  mode = process.env.LLM_REPLAY_MODE || 'replay',
+  upstream = null,
+} = {}) {
+  if (!['replay', 'record', 'auto'].includes(mode)) {
+    throw new Error(`Unknown LLM_REPLAY_MODE "${mode}" (expected replay, record or auto)`);
+  }
+  if (mode !== 'replay' && !upstream) {
+    throw new Error(`Replay provider in "${mode}" mode needs an upstream provider (set LLM_RECORD_PROVIDER)`);
+  }
+
+  const fixturePath = (key) => path.join(dir, `${key}.json`);
+
+  const readFixture = async (key) => {
+    try {
+      return JSON.parse(await fs.readFile(fixturePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const record = async (key, prompt) => {
+    const result = await upstream.complete(prompt);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(fixturePath(key), JSON.stringify({
+      key,
+      provider: upstream.name,
+      model: result.model,
+      recordedAt: new Date().toISOString(),
+      prompt,
+      response: result.text,
+      usage: result.usage,
+    }, null, 2));
+    console.log(`📼 Recorded LLM fixture ${key}`);
+    return result;
+  };
+
+  return {
+    name: 'replay',
+    model: upstream?.model || 'replay',
+    async complete(prompt) {
+      const key = fixtureKey(prompt);
+      if (mode === 'record') return record(key, prompt);
+
+      const fixture = await readFixture(key);
+      // A replayed response cost nothing, so its recorded usage isn't reported
+      if (fixture) return { text: fixture.response, model: fixture.model || 'replay', usage: null };
+      if (mode === 'auto') return record(key, prompt);
+
+      throw new Error(`No recorded LLM response for prompt ${key} in ${dir} (set LLM_REPLAY_MODE=auto to record it)`);
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openrouter: createOpenRouterProvider,
+  anthropic: createAnthropicProvider,
+};
+
+// Builds the provider described by the environment:
+//   LLM_PROVIDER         openrouter (default) | anthropic | replay
+//   LLM_MODEL            model id passed to the provider
+//   LLM_RECORD_PROVIDER  upstream used by the replay provider when recording
+export function createProviderFromEnv(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'openrouter').toLowerCase();
+
+  if (name === 'replay') {
+    const upstreamName = (env.LLM_RECORD_PROVIDER || '').toLowerCase();
+    let upstream = null;
+    if (upstreamName) {
+      const factory = PROVIDER_FACTORIES[upstreamName];
+      if (!factory) throw new Error(`Unknown LLM_RECORD_PROVIDER "${upstreamName}"`);
+      upstream = factory({ model: env.LLM_MODEL || DEFAULT_MODELS[upstreamName] });
+    }
+    return createReplayProvider({
+      dir: env.LLM_FIXTURES_DIR || 'fixtures/llm',
+      mode: env.LLM_REPLAY_MODE || 'replay',
+      upstream,
+    });
+  }
+
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${[...Object.keys(PROVIDER_FACTORIES), 'replay'].join(', ')})`);
+  }
+  return factory({ model: env.LLM_MODEL || DEFAULT_MODELS[name] });
+}
+
+// Requests per minute and burst size per provider. The replay provider is
+// local, so it is only throttled when it has to record through an upstream.
+const DEFAULT_RATE_LIMITS = {
+  openrouter: { requestsPerMinute: 60, burst: 5 },
+  anthropic: { requestsPerMinute: 50, burst: 5 },
+};
+
+export function rateLimitFromEnv(provider, env = process.env) {
+  const providerName = provider.name === 'replay'
+    ? (env.LLM_RECORD_PROVIDER || '').toLowerCase()
+    : provider.name;
+  const defaults = DEFAULT_RATE_LIMITS[providerName];
+  if (!defaults) return null;
+  return {
+    requestsPerMinute: Number(env.LLM_RATE_LIMIT_RPM) || defaults.requestsPerMinute,
+    burst: Number(env.LLM_RATE_LIMIT_BURST) || defaults.burst,
+  };
+}
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+// ==================== LLM RESPONSE CACHE ====================
+// Discovery and offer research results are reused for a while rather than
+// asking the model again on every run. An entry is keyed by call type,
+// model, jurisdiction and prompt, so changing any of them (a regulator note
+// ends up in the prompt) misses. Only validated results are cached, never
+// failures.
+
+export const CACHED_PURPOSES = ['discovery', 'offers'];
+
+// Hours an entry is reused for; casino lists change far less often than
+// promotions. 0 turns caching off for that call type.
+export const DEFAULT_CACHE_TTL_HOURS = { discovery: 24 * 7, offers: 24 };
+
+const TTL_VARIABLES = {
+  discovery: 'LLM_CACHE_TTL_DISCOVERY_HOURS',
+  offers: 'LLM_CACHE_TTL_OFFERS_HOURS',
+};
+
+export function cacheTtlsFromEnv(env = process.env) {
+  return Object.fromEntries(CACHED_PURPOSES.map(purpose => {
+    const variable = TTL_VARIABLES[purpose];
+    if (env[variable] === undefined || env[variable] === '') return [purpose, DEFAULT_CACHE_TTL_HOURS[purpose]];
+    const hours = Number(env[variable]);
+    if (!Number.isFinite(hours) || hours < 0) {
+      throw new Error(`${variable} must be a number of hours (0 disables the cache), got "${env[variable]}"`);
+    }
+    return [purpose, hours];
+  }));
+}
+
+export function llmCacheKey({ purpose, model, jurisdiction, prompt }) {
+  return crypto.createHash('sha256').update([purpose, model, jurisdiction, prompt].join('\0')).digest('hex');
+}
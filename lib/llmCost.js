@@ -0,0 +1,55 @@
+// ==================== LLM COSTS ====================
+// Estimates what an LLM call cost from its token usage. Prices are USD per
+// million tokens, keyed by model id without the provider prefix; a model
+// matches the longest key it starts with, so dated ids such as
+// `claude-sonnet-4-5-20250929` use the `claude-sonnet-4-5` price.
+// `LLM_PRICES` (JSON, same shape) adds or overrides entries.
+
+export const DEFAULT_LLM_PRICES = {
+  'claude-opus-4-5': { prompt: 5, completion: 25 },
+  'claude-opus-4-1': { prompt: 15, completion: 75 },
+  'claude-opus-4': { prompt: 15, completion: 75 },
+  'claude-sonnet-4-5': { prompt: 3, completion: 15 },
+  'claude-sonnet-4': { prompt: 3, completion: 15 },
+  'claude-3-7-sonnet': { prompt: 3, completion: 15 },
+  'claude-haiku-4-5': { prompt: 1, completion: 5 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+};
+
+// `anthropic/claude-sonnet-4.5` and `claude-sonnet-4-5` name the same model
+export const normalizeModel = (model) => String(model || '').toLowerCase().replace(/^.*\//, '').replace(/\./g, '-');
+
+export function pricesFromEnv(env = process.env) {
+  if (!env.LLM_PRICES) return DEFAULT_LLM_PRICES;
+  let overrides;
+  try {
+    overrides = JSON.parse(env.LLM_PRICES);
+  } catch (error) {
+    throw new Error(`LLM_PRICES is not valid JSON: ${error.message}`);
+  }
+  const prices = { ...DEFAULT_LLM_PRICES };
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!Number.isFinite(price?.prompt) || !Number.isFinite(price?.completion)) {
+      throw new Error(`LLM_PRICES["${model}"] needs numeric prompt and completion prices`);
+    }
+    prices[normalizeModel(model)] = { prompt: price.prompt, completion: price.completion };
+  }
+  return prices;
+}
+
+export function priceFor(model, prices = DEFAULT_LLM_PRICES) {
+  const id = normalizeModel(model);
+  const key = Object.keys(prices)
+    .filter(candidate => id.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+// USD for a call's usage, or null when the model has no price (the call is
+// still recorded, it just can't count towards a budget)
+export function estimateCost(model, usage, prices = DEFAULT_LLM_PRICES) {
+  if (!usage) return 0;
+  const price = priceFor(model, prices);
+  if (!price) return null;
+  return (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1e6;
+}
@@ -0,0 +1,78 @@
+import { s, validate, extractJson, formatErrors } from './schema.js';
+
+// ==================== LLM RESPONSE SCHEMAS ====================
+
+export const OFFER_TYPES = ['welcome', 'deposit-match', 'lossback', 'free-spins', 'reload', 'loyalty', 'no-deposit'];
+
+export const casinoListSchema = s.object({
+  casinos: s.array(s.object({
+    name: s.string({ min: 1 }),
+    website: s.string({ optional: true }),
+    licenseNumber: s.string({ optional: true }),
+    city: s.string({ optional: true }),
+  })),
+});
+
+export const offerListSchema = s.object({
+  offers: s.array(s.object({
+    offerName: s.string({ min: 1 }),
+    offerType: s.enum(OFFER_TYPES, {
+      aliases: {
+        'deposit-bonus': 'deposit-match',
+        'match': 'deposit-match',
+        'cashback': 'lossback',
+        'loss-back': 'lossback',
+        'spins': 'free-spins',
+        'no-deposit-bonus': 'no-deposit',
+      },
+    }),
+    expectedDeposit: s.number({ min: 0, default: 0 }),
+    expectedBonus: s.number({ min: 0, default: 0 }),
+    description: s.string({ optional: true }),
+    terms: s.string({ optional: true }),
+  })),
+});
+
+export const analysisSchema = s.object({
+  analysis: s.array(s.object({
+    offerName: s.string({ min: 1 }),
+    isSuperior: s.boolean(),
+    reasoning: s.string({ min: 1 }),
+    recommendation: s.enum(['add', 'skip']),
+  })),
+});
+
+export class LlmValidationError extends Error {
+  constructor(purpose, errors, attempts) {
+    super(`${purpose} response failed validation after ${attempts} attempt(s): ${formatErrors(errors).slice(0, 3).join('; ')}`);
+    this.name = 'LlmValidationError';
+    this.purpose = purpose;
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+// Parses and validates a raw model response. JSON syntax problems are
+// reported as a single root-level error so they go through the same repair
+// path as shape errors.
+export function parseResponse(schema, text) {
+  let parsed;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    return { value: undefined, errors: [{ path: '(root)', message: `invalid JSON: ${error.message}` }] };
+  }
+  return validate(schema, parsed);
+}
+
+export function buildRepairPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}
+
+Your previous response was:
+${previousResponse}
+
+It did not match the required JSON format. Validation errors:
+${formatErrors(errors).map(e => `- ${e}`).join('\n')}
+
+Return ONLY the corrected JSON, no other text.`;
+}
@@ -0,0 +1,46 @@
+// ==================== OFFER HISTORY ====================
+// Each Offer keeps a list of versions, one per observed change, so the
+// history of a promotion ($1,000 match cut to $500, terms rewritten, offer
+// gone quiet) can be replayed. These helpers only compute what changed; the
+// caller decides what to persist.
+
+// Fields a research run can observe; a change to any of them starts a new version
+export const VERSIONED_OFFER_FIELDS = [
+  'offerName',
+  'offerType',
+  'expectedDeposit',
+  'expectedBonus',
+  'description',
+  'terms',
+];
+
+// Offer lifecycle: seen in the latest run, missed at least once, or missed
+// often enough that the promotion is presumed gone
+export const OFFER_STATUSES = ['active', 'stale', 'expired'];
+
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+export function snapshotOffer(offer) {
+  return Object.fromEntries(VERSIONED_OFFER_FIELDS.map(field => [field, normalizeValue(offer[field])]));
+}
+
+// Fields of `observed` that differ from `offer`, as [{ field, from, to }].
+// Fields the observation doesn't mention are not treated as removed, and
+// neither are zero amounts, which research uses for "not stated".
+export function diffOfferFields(offer, observed) {
+  const changes = [];
+  for (const field of VERSIONED_OFFER_FIELDS) {
+    const to = normalizeValue(observed[field]);
+    if (to === null || to === 0) continue;
+    const from = normalizeValue(offer[field]);
+    if (from !== to) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+// Status after an offer has been missed `missedRuns` runs in a row
+export function statusForMisses(missedRuns, { staleAfter = 1, expireAfter = 3 } = {}) {
+  if (missedRuns >= expireAfter) return 'expired';
+  if (missedRuns >= staleAfter) return 'stale';
+  return 'active';
+}
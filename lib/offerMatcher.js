@@ -0,0 +1,157 @@
+import { nameSimilarity } from './entityResolution.js';
+
+// ==================== OFFER MATCHING ====================
+// Decides whether a discovered offer is one we already have. Each field is
+// scored separately and combined into a weighted similarity, and the result
+// carries a per-field breakdown so reviewers can see why an offer was judged
+// new or existing.
+
+// Promo filler that says nothing about which offer it is; "Bonus" alone used
+// to match every offer
+const OFFER_STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'up', 'for', 'on', 'in', 'your', 'get',
+  'casino', 'online', 'bonus', 'offer', 'promo', 'promotion', 'new', 'player', 'players',
+  'customer', 'customers', 'user', 'users',
+]);
+
+export function normalizeOfferText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/\$\s?(\d[\d,]*)/g, (_, amount) => ` ${amount.replace(/,/g, '')} `)
+    .replace(/(\d),(\d{3})/g, '$1$2')
+    .replace(/(\d+)\s*%/g, ' $1pct ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(token => token && !OFFER_STOP_WORDS.has(token))
+    .join(' ');
+}
+
+// Relative closeness of two amounts: $1,000 vs $1,100 is 0.91, $100 vs $200 is 0.5
+function amountSimilarity(a, b) {
+  if (a === b) return 1;
+  return 1 - Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b));
+}
+
+function tokenOverlap(a, b) {
+  const tokensA = new Set(a.split(' '));
+  const tokensB = new Set(b.split(' '));
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  return shared / new Set([...tokensA, ...tokensB]).size;
+}
+
+export const DEFAULT_OFFER_MATCH_OPTIONS = {
+  threshold: 0.75,
+  // Share of the total weight that has to be compared before two offers can
+  // count as the same. A compared name is enough on its own; without it a
+  // matching type alone would score 100%.
+  minComparedWeight: 0.5,
+  weights: { name: 0.4, type: 0.2, bonus: 0.2, deposit: 0.1, terms: 0.1 },
+};
+
+const isKnownAmount = (value) => typeof value === 'number' && value > 0;
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Scores two offers field by field. Fields missing on either side are
+// reported as skipped and left out of the weighted score rather than
+// counted as a mismatch; `conclusive` says whether enough was compared for
+// the score to decide a match.
+export function compareOffers(discovered, existing, options = DEFAULT_OFFER_MATCH_OPTIONS) {
+  const { weights } = options;
+  const components = {};
+
+  const nameA = normalizeOfferText(discovered.offerName);
+  const nameB = normalizeOfferText(existing.offerName);
+  components.name = nameA && nameB
+    ? { score: nameSimilarity(nameA, nameB), discovered: nameA, existing: nameB }
+    : { skipped: 'name has no distinguishing words' };
+
+  const typeA = discovered.offerType?.toLowerCase();
+  const typeB = existing.offerType?.toLowerCase();
+  components.type = typeA && typeB && typeB !== 'unknown'
+    ? { score: typeA === typeB ? 1 : 0, discovered: typeA, existing: typeB }
+    : { skipped: 'offer type unknown' };
+
+  for (const field of ['bonus', 'deposit']) {
+    const key = field === 'bonus' ? 'expectedBonus' : 'expectedDeposit';
+    components[field] = isKnownAmount(discovered[key]) && isKnownAmount(existing[key])
+      ? { score: amountSimilarity(discovered[key], existing[key]), discovered: discovered[key], existing: existing[key] }
+      : { skipped: `${field} amount missing` };
+  }
+
+  const termsA = normalizeOfferText(discovered.terms);
+  const termsB = normalizeOfferText(existing.terms);
+  components.terms = termsA && termsB
+    ? { score: tokenOverlap(termsA, termsB) }
+    : { skipped: 'terms missing' };
+
+  let weighted = 0;
+  let comparedWeight = 0;
+  for (const [field, component] of Object.entries(components)) {
+    if (component.skipped) continue;
+    component.score = round(component.score);
+    component.weight = weights[field];
+    weighted += component.score * weights[field];
+    comparedWeight += weights[field];
+  }
+
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const minComparedWeight = options.minComparedWeight ?? DEFAULT_OFFER_MATCH_OPTIONS.minComparedWeight;
+  return {
+    score: comparedWeight > 0 ? round(weighted / comparedWeight) : 0,
+    comparedWeight: round(comparedWeight / totalWeight),
+    conclusive: !components.name.skipped || comparedWeight / totalWeight >= minComparedWeight,
+    components,
+  };
+}
+
+function describe(components) {
+  return Object.entries(components).map(([field, component]) => (component.skipped
+    ? `${field}: skipped (${component.skipped})`
+    : `${field}: ${Math.round(component.score * 100)}%` +
+      (component.discovered !== undefined ? ` (${component.discovered} vs ${component.existing})` : '')));
+}
+
+// Finds the closest existing offer and returns a machine-readable verdict:
+//   { verdict: 'existing' | 'new', score, threshold, matchedOffer, components, reasons }
+// A comparison that wasn't conclusive never makes an offer `existing`, and
+// ranks below any that was.
+export function matchOffer(discovered, existingOffers, options = DEFAULT_OFFER_MATCH_OPTIONS) {
+  let best = null;
+  for (const existing of existingOffers) {
+    const result = compareOffers(discovered, existing, options);
+    const better = !best
+      || (result.conclusive && !best.conclusive)
+      || (result.conclusive === best.conclusive && result.score > best.score);
+    if (better) best = { ...result, offer: existing };
+  }
+
+  if (!best) {
+    return {
+      verdict: 'new',
+      score: 0,
+      threshold: options.threshold,
+      matchedOffer: null,
+      components: {},
+      reasons: ['no current offers to compare against'],
+    };
+  }
+
+  const verdict = best.conclusive && best.score >= options.threshold ? 'existing' : 'new';
+  return {
+    verdict,
+    score: best.score,
+    threshold: options.threshold,
+    conclusive: best.conclusive,
+    matchedOffer: { id: best.offer._id, name: best.offer.offerName },
+    components: best.components,
+    reasons: [
+      best.conclusive
+        ? `closest current offer "${best.offer.offerName}" scored ${Math.round(best.score * 100)}% ` +
+          `(${verdict === 'existing' ? 'at or above' : 'below'} the ${Math.round(options.threshold * 100)}% threshold)`
+        : `closest current offer "${best.offer.offerName}" scored ${Math.round(best.score * 100)}%, but only ` +
+          `${Math.round(best.comparedWeight * 100)}% of the fields could be compared and the name was not one of them`,
+      ...describe(best.components),
+    ],
+  };
+}
@@ -0,0 +1,180 @@
+// ==================== OFFER TERMS & VALUE ====================
+// parseTerms() pulls structured fields out of free-text terms, and
+// computeOfferValue() turns them into an expected player value in dollars
+// so offers of different types can be ranked against each other.
+
+const toAmount = (text) => Number(String(text).replace(/[$,\s]/g, ''));
+
+const GAME_PATTERNS = [
+  ['slots', /slots?/],
+  ['tableGames', /table games?/],
+  ['blackjack', /blackjack/],
+  ['roulette', /roulette/],
+  ['videoPoker', /video poker/],
+  ['liveDealer', /live (?:dealer|casino)(?: games?)?/],
+];
+
+function parseGameContributions(text) {
+  const contributions = {};
+  for (const [game, pattern] of GAME_PATTERNS) {
+    const source = pattern.source;
+    // "slots contribute 100%", "slots: 100%", "table games at 20%"
+    const after = text.match(new RegExp(`${source}[^.%\\d]{0,30}?(\\d{1,3})\\s*%`));
+    // "100% on slots", "20% for table games"
+    const before = text.match(new RegExp(`(\\d{1,3})\\s*%\\s*(?:contribution\\s*)?(?:on|for|from|towards?)?\\s*(?:all\\s*)?${source}`));
+    const match = before || after;
+    if (match) contributions[game] = Math.min(100, Number(match[1]));
+  }
+  // "Table games do not count", "blackjack excluded"
+  if (/(?:do not|don't|does not|doesn't) (?:count|contribute)|excluded/.test(text)) {
+    for (const [game, pattern] of GAME_PATTERNS) {
+      if (game !== 'slots' && contributions[game] === undefined && pattern.test(text)) contributions[game] = 0;
+    }
+  }
+  return Object.keys(contributions).length > 0 ? contributions : null;
+}
+
+// Returns only the fields it could find; everything else is left undefined
+export function parseTerms(...texts) {
+  const raw = texts.filter(Boolean).join('. ');
+  const text = raw.toLowerCase();
+  const parsed = {};
+  if (!text) return parsed;
+
+  const wagering = text.match(/(\d+(?:\.\d+)?)\s*(?:x|times)\b[^.]{0,40}?(?:wager|playthrough|play-through|rollover)/)
+    || text.match(/(?:wager(?:ing)?|playthrough|play-through|rollover)(?: requirements?)?(?: of| is|:)?\s*(\d+(?:\.\d+)?)\s*(?:x|times)\b/)
+    || text.match(/\b(\d+(?:\.\d+)?)x\b/);
+  if (wagering) {
+    parsed.wageringMultiplier = Number(wagering[1]);
+    parsed.wageringBase = /deposit\s*(?:\+|and|&|plus)\s*bonus/.test(text) ? 'deposit+bonus' : 'bonus';
+  }
+
+  const contributions = parseGameContributions(text);
+  if (contributions) parsed.gameContributions = contributions;
+
+  const maxBonus = text.match(/(?:max(?:imum)?\s*bonus(?:\s*(?:of|is|:))?|up to)\s*\$\s?([\d,]+(?:\.\d+)?)/);
+  if (maxBonus) parsed.maxBonus = toAmount(maxBonus[1]);
+
+  const minDeposit = text.match(/min(?:imum)?\.?\s*deposit(?:\s*(?:of|is|:|required))?\s*\$\s?([\d,]+(?:\.\d+)?)/)
+    || text.match(/\$\s?([\d,]+(?:\.\d+)?)\s*min(?:imum)?\.?\s*deposit/);
+  if (minDeposit) parsed.minDeposit = toAmount(minDeposit[1]);
+
+  const expiry = text.match(/(?:within|in|after|for|expires?(?:\s*(?:in|after))?|valid(?:\s*for)?)\s*(\d+)\s*(days?|hours?|hrs?)/);
+  if (expiry) {
+    const amount = Number(expiry[1]);
+    parsed.expiryDays = /^d/.test(expiry[2]) ? amount : Math.round((amount / 24) * 100) / 100;
+  }
+
+  const spins = text.match(/(\d[\d,]*)\s*(?:bonus\s*|free\s*)?spins/);
+  if (spins) parsed.freeSpins = toAmount(spins[1]);
+  const spinValue = text.match(/\$\s?(\d+(?:\.\d+)?)\s*(?:per|a|each)\s*spin/)
+    || text.match(/spins?\s*(?:valued at|worth|at)\s*\$\s?(\d+(?:\.\d+)?)/);
+  if (spinValue) parsed.spinValue = Number(spinValue[1]);
+
+  // Codes are usually upper-case in the original text, so match on `raw`
+  const promo = raw.match(/(?:promo|bonus|coupon)\s*code[:\s]*["'“]?([A-Z0-9][A-Z0-9_-]{2,})/i);
+  if (promo) parsed.promoCode = promo[1].toUpperCase();
+
+  return parsed;
+}
+
+// Assumptions used where the terms are silent. Slot RTP of 96% is typical
+// for US online casinos; 15x is a middle-of-the-road playthrough.
+export const VALUE_ASSUMPTIONS = {
+  houseEdge: 0.04,
+  defaultWagering: 15,
+  defaultSpinValue: 0.2,
+  lossbackTriggerRate: 0.5,
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Expected value in dollars of taking the offer, plus how it was computed.
+// Returns { valueScore: null } for offer types without a value model.
+export function computeOfferValue(offer, terms = {}, assumptions = VALUE_ASSUMPTIONS) {
+  const type = offer.offerType?.toLowerCase();
+  const notes = [];
+
+  // Slots are the best game to clear a bonus on, so use their contribution
+  const contribution = (terms.gameContributions?.slots ?? 100) / 100;
+  if (terms.gameContributions?.slots === undefined) notes.push('assumed slots contribute 100%');
+
+  let wagering = terms.wageringMultiplier;
+  if (wagering === undefined) {
+    wagering = assumptions.defaultWagering;
+    notes.push(`assumed ${wagering}x wagering`);
+  }
+
+  // Cost of playing through `amount` of wagering at the assumed house edge
+  const clearingCost = (amount) => (contribution > 0 ? (amount * assumptions.houseEdge) / contribution : Infinity);
+
+  let bonus = offer.expectedBonus || 0;
+  if (terms.maxBonus && (!bonus || terms.maxBonus < bonus)) bonus = terms.maxBonus;
+  const deposit = offer.expectedDeposit || terms.minDeposit || 0;
+
+  let value;
+  let method;
+  switch (type) {
+    case 'welcome':
+    case 'deposit-match':
+    case 'reload':
+    case 'no-deposit': {
+      const base = terms.wageringBase === 'deposit+bonus' ? deposit + bonus : bonus;
+      value = bonus - clearingCost(base * wagering);
+      method = `bonus $${bonus} minus expected loss clearing ${wagering}x on $${base}`;
+      break;
+    }
+    case 'lossback': {
+      // Only paid out when the player ends down, and the refund itself has playthrough
+      const refundValue = bonus - clearingCost(bonus * wagering);
+      value = assumptions.lossbackTriggerRate * refundValue;
+      method = `${assumptions.lossbackTriggerRate * 100}% chance of a $${bonus} refund worth $${round2(refundValue)} after ${wagering}x playthrough`;
+      break;
+    }
+    case 'free-spins': {
+      let spinsValue = bonus;
+      if (!spinsValue && terms.freeSpins) {
+        const perSpin = terms.spinValue ?? assumptions.defaultSpinValue;
+        if (terms.spinValue === undefined) notes.push(`assumed $${perSpin} per spin`);
+        spinsValue = terms.freeSpins * perSpin;
+      }
+      const winnings = spinsValue * (1 - assumptions.houseEdge);
+      value = winnings - clearingCost(winnings * wagering);
+      method = `expected spin winnings $${round2(winnings)} minus expected loss clearing ${wagering}x`;
+      break;
+    }
+    default:
+      return { valueScore: null, valueBreakdown: { method: `no value model for offer type "${offer.offerType}"`, notes: [] } };
+  }
+
+  return {
+    valueScore: Number.isFinite(value) ? round2(value) : null,
+    valueBreakdown: {
+      method,
+      bonus,
+      deposit,
+      wagering,
+      contribution,
+      houseEdge: assumptions.houseEdge,
+      notes,
+    },
+  };
+}
+
+// Structured fields to store on an Offer, derived from its terms and description
+export function evaluateOffer(offer) {
+  const terms = parseTerms(offer.terms, offer.description, offer.offerName);
+  const { valueScore, valueBreakdown } = computeOfferValue(offer, terms);
+  return {
+    wageringMultiplier: terms.wageringMultiplier,
+    wageringBase: terms.wageringBase,
+    gameContributions: terms.gameContributions,
+    maxBonus: terms.maxBonus,
+    minDeposit: terms.minDeposit,
+    expiryDays: terms.expiryDays,
+    promoCode: terms.promoCode,
+    freeSpins: terms.freeSpins,
+    valueScore,
+    valueBreakdown,
+  };
+}
@@ -0,0 +1,27 @@
+// ==================== OFFER REVIEW ====================
+// Research offers start out `pending` and are approved, rejected or sent
+// back for more information by a reviewer. Decided offers can be reopened,
+// which puts them back to `pending`.
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'needs-info'];
+
+export const REVIEW_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'needs-info'],
+  'needs-info': ['pending', 'approved', 'rejected'],
+  approved: ['pending', 'rejected'],
+  rejected: ['pending', 'approved'],
+};
+
+export function canTransition(from, to) {
+  return REVIEW_TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+export class ReviewTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change review status from "${from}" to "${to}"` +
+      (REVIEW_TRANSITIONS[from] ? ` (allowed: ${REVIEW_TRANSITIONS[from].join(', ')})` : ''));
+    this.name = 'ReviewTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
@@ -0,0 +1,139 @@
+import { normalizeCasinoName } from './entityResolution.js';
+import { normalizeOfferText } from './offerMatcher.js';
+
+// ==================== RUN DIFF ====================
+// Compares what two research runs observed. Only states and casinos that
+// both runs actually covered are compared, so a run scoped to one state (or
+// one that failed part-way) doesn't show everything else as removed; the
+// rest is listed under `notCompared`.
+
+const casinoKey = (state, name) => `${state}|${normalizeCasinoName(name)}`;
+
+// Runs from before `observedOffers` existed only kept discovered offers for
+// casinos that had new ones, so fall back to those
+function offersByCasino(run) {
+  const entries = run.observedOffers?.length
+    ? run.observedOffers
+    : (run.offerComparisons || []).map(comparison => ({
+      state: comparison.state,
+      casinoName: comparison.casinoName,
+      offers: comparison.discoveredOffers || [],
+    }));
+  return new Map(entries.map(entry => [casinoKey(entry.state, entry.casinoName), entry]));
+}
+
+function casinosByState(run) {
+  return new Map((run.discoveredCasinos || []).map(entry => [
+    entry.state,
+    new Map(entry.casinos.map(name => [normalizeCasinoName(name), name])),
+  ]));
+}
+
+const offerLabel = (offer) => normalizeOfferText(offer.name);
+
+// Pairs offers by stored offer id where both have one, then by normalized name
+function pairOffers(baseOffers, compareOffers) {
+  const remaining = [...baseOffers];
+  const pairs = [];
+  const added = [];
+  for (const offer of compareOffers) {
+    let index = offer.offerId
+      ? remaining.findIndex(other => other.offerId && String(other.offerId) === String(offer.offerId))
+      : -1;
+    if (index === -1) index = remaining.findIndex(other => offerLabel(other) === offerLabel(offer));
+    if (index === -1) {
+      added.push(offer);
+    } else {
+      pairs.push([remaining[index], offer]);
+      remaining.splice(index, 1);
+    }
+  }
+  return { pairs, added, removed: remaining };
+}
+
+const VALUE_FIELDS = ['deposit', 'bonus', 'valueScore'];
+
+function valueChanges(before, after) {
+  return VALUE_FIELDS
+    .filter(field => typeof before[field] === 'number' && typeof after[field] === 'number' && before[field] !== after[field])
+    .map(field => ({ field, from: before[field], to: after[field], delta: Math.round((after[field] - before[field]) * 100) / 100 }));
+}
+
+const summarizeOffer = ({ offerId, name, type, deposit, bonus, valueScore }) => ({ offerId, name, type, deposit, bonus, valueScore });
+
+const countDelta = (base, compare) => ({ base, compare, delta: compare - base });
+
+// `base` is the earlier run and `compare` the later one; everything is
+// reported as what changed going from base to compare
+export function diffRuns(base, compare) {
+  const casinos = { appeared: [], disappeared: [] };
+  const offers = { added: [], removed: [], changed: [] };
+  const notCompared = { states: [], casinos: [] };
+  const states = new Map();
+  const stateEntry = (state) => {
+    if (!states.has(state)) {
+      states.set(state, { state, casinosAppeared: 0, casinosDisappeared: 0, offersAdded: 0, offersRemoved: 0, offersChanged: 0 });
+    }
+    return states.get(state);
+  };
+
+  const baseCasinos = casinosByState(base);
+  const compareCasinos = casinosByState(compare);
+  for (const state of new Set([...baseCasinos.keys(), ...compareCasinos.keys()])) {
+    const before = baseCasinos.get(state);
+    const after = compareCasinos.get(state);
+    if (!before || !after) {
+      notCompared.states.push({ state, reason: `discovery only ran in the ${before ? 'base' : 'compare'} run` });
+      continue;
+    }
+    const entry = stateEntry(state);
+    for (const [key, name] of after) {
+      if (before.has(key)) continue;
+      casinos.appeared.push({ state, name });
+      entry.casinosAppeared++;
+    }
+    for (const [key, name] of before) {
+      if (after.has(key)) continue;
+      casinos.disappeared.push({ state, name });
+      entry.casinosDisappeared++;
+    }
+    entry.casinosDiscovered = countDelta(before.size, after.size);
+  }
+
+  const baseOffers = offersByCasino(base);
+  const compareOffers = offersByCasino(compare);
+  for (const key of new Set([...baseOffers.keys(), ...compareOffers.keys()])) {
+    const before = baseOffers.get(key);
+    const after = compareOffers.get(key);
+    if (!before || !after) {
+      const { state, casinoName } = before || after;
+      notCompared.casinos.push({ state, casinoName, reason: `offers only researched in the ${before ? 'base' : 'compare'} run` });
+      continue;
+    }
+    const { state, casinoName } = after;
+    const entry = stateEntry(state);
+    const { pairs, added, removed } = pairOffers(before.offers, after.offers);
+
+    for (const offer of added) offers.added.push({ state, casinoName, offer: summarizeOffer(offer) });
+    for (const offer of removed) offers.removed.push({ state, casinoName, offer: summarizeOffer(offer) });
+    for (const [previous, current] of pairs) {
+      const changes = valueChanges(previous, current);
+      if (changes.length === 0) continue;
+      offers.changed.push({ state, casinoName, before: summarizeOffer(previous), after: summarizeOffer(current), changes });
+      entry.offersChanged++;
+    }
+    entry.offersAdded += added.length;
+    entry.offersRemoved += removed.length;
+    entry.offersObserved = countDelta(
+      (entry.offersObserved?.base || 0) + before.offers.length,
+      (entry.offersObserved?.compare || 0) + after.offers.length,
+    );
+  }
+
+  return {
+    casinos,
+    offers,
+    states: [...states.values()].sort((a, b) => a.state.localeCompare(b.state)),
+    notCompared,
+  };
+}
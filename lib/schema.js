@@ -0,0 +1,156 @@
+// ==================== SCHEMA VALIDATION ====================
+// A deliberately small validator: each schema is a plain object describing
+// one value, and validate() returns the coerced value plus a list of
+// { path, message } errors instead of throwing.
+
+export const s = {
+  string: (opts = {}) => ({ kind: 'string', ...opts }),
+  number: (opts = {}) => ({ kind: 'number', ...opts }),
+  integer: (opts = {}) => ({ kind: 'number', integer: true, ...opts }),
+  boolean: (opts = {}) => ({ kind: 'boolean', ...opts }),
+  date: (opts = {}) => ({ kind: 'date', ...opts }),
+  enum: (values, opts = {}) => ({ kind: 'enum', values, ...opts }),
+  array: (items, opts = {}) => ({ kind: 'array', items, ...opts }),
+  object: (shape, opts = {}) => ({ kind: 'object', shape, ...opts }),
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// "$1,000", "1000 USD" and "1.5k" all coerce to numbers
+function coerceNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  const cleaned = value.trim().toLowerCase().replace(/[$,\s]|usd/g, '');
+  const match = cleaned.match(/^(-?\d+(?:\.\d+)?)(k)?$/);
+  if (!match) return NaN;
+  return Number(match[1]) * (match[2] ? 1000 : 1);
+}
+
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value !== 'string') return undefined;
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+  if (['false', 'no', '0', 'n'].includes(normalized)) return false;
+  return undefined;
+}
+
+// Enum values are compared case-insensitively with spaces and underscores
+// treated as hyphens, so "Deposit Match" matches "deposit-match"
+const enumKey = (value) => String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+function validateValue(schema, value, path, errors) {
+  const fail = (message) => {
+    errors.push({ path: path || '(root)', message });
+    return undefined;
+  };
+
+  if (isMissing(value)) {
+    if (schema.default !== undefined) {
+      return typeof schema.default === 'function' ? schema.default() : schema.default;
+    }
+    if (schema.optional) return undefined;
+    return fail('is required');
+  }
+
+  switch (schema.kind) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return fail(`must be a string, got ${typeof value}`);
+      }
+      // Secrets such as passwords set `trim: false`, since their spaces count
+      const str = schema.trim === false ? String(value) : String(value).trim();
+      if (schema.min !== undefined && str.length < schema.min) return fail(`must be at least ${schema.min} characters`);
+      if (schema.max !== undefined && str.length > schema.max) return fail(`must be at most ${schema.max} characters`);
+      if (schema.pattern && !schema.pattern.test(str)) return fail(schema.patternMessage || `must match ${schema.pattern}`);
+      return str;
+    }
+    case 'number': {
+      const num = coerceNumber(value);
+      if (Number.isNaN(num) || !Number.isFinite(num)) return fail(`must be a number, got ${JSON.stringify(value)}`);
+      if (schema.integer && !Number.isInteger(num)) return fail('must be an integer');
+      if (schema.min !== undefined && num < schema.min) return fail(`must be >= ${schema.min}`);
+      if (schema.max !== undefined && num > schema.max) return fail(`must be <= ${schema.max}`);
+      return num;
+    }
+    case 'boolean': {
+      const bool = coerceBoolean(value);
+      if (bool === undefined) return fail(`must be true or false, got ${JSON.stringify(value)}`);
+      return bool;
+    }
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return fail(`must be a date, got ${JSON.stringify(value)}`);
+      return date;
+    }
+    case 'enum': {
+      const match = schema.values.find(v => enumKey(v) === enumKey(value))
+        ?? schema.aliases?.[enumKey(value)];
+      if (match === undefined) return fail(`must be one of ${schema.values.join(', ')}, got ${JSON.stringify(value)}`);
+      return match;
+    }
+    case 'array': {
+      // A lone value is accepted where a list is allowed, e.g. ?state=NJ,
+      // and with `separator` a string is split, e.g. ?reviewStatus=a,b
+      const list = Array.isArray(value) ? value
+        : schema.separator && typeof value === 'string' ? value.split(schema.separator).filter(item => item.trim() !== '')
+          : schema.single ? [value] : null;
+      if (!list) return fail(`must be an array, got ${typeof value}`);
+      if (schema.min !== undefined && list.length < schema.min) return fail(`must contain at least ${schema.min} items`);
+      if (schema.max !== undefined && list.length > schema.max) return fail(`must contain at most ${schema.max} items`);
+      return list.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors));
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail(`must be an object, got ${Array.isArray(value) ? 'array' : typeof value}`);
+      // Undeclared keys are dropped unless the schema is a `passthrough`
+      const result = schema.passthrough ? { ...value } : {};
+      for (const [key, fieldSchema] of Object.entries(schema.shape)) {
+        const fieldValue = validateValue(fieldSchema, value[key], path ? `${path}.${key}` : key, errors);
+        if (fieldValue !== undefined) result[key] = fieldValue;
+      }
+      return result;
+    }
+    default:
+      throw new Error(`Unknown schema kind "${schema.kind}"`);
+  }
+}
+
+export function validate(schema, value) {
+  const errors = [];
+  const result = validateValue(schema, value, '', errors);
+  return { value: result, errors };
+}
+
+export const formatErrors = (errors) => errors.map(e => `${e.path}: ${e.message}`);
+
+// Pulls the first complete JSON object out of a model response. Unlike a
+// greedy /\{[\s\S]*\}/ match this stops at the balancing brace, so trailing
+// prose containing braces doesn't break parsing.
+export function extractJson(text) {
+  if (typeof text !== 'string') throw new Error('Response is not text');
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const source = fenced ? fenced[1] : text;
+
+  const start = source.indexOf('{');
+  if (start === -1) throw new Error('No JSON object found in response');
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      return JSON.parse(source.slice(start, i + 1));
+    }
+  }
+  throw new Error('Unterminated JSON object in response');
+}
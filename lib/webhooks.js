@@ -0,0 +1,50 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// ==================== WEBHOOKS ====================
+// Outbound notifications. Each delivery is a JSON POST signed with the
+// subscription's secret: the signature is an HMAC-SHA256 of
+// "<timestamp>.<body>", sent as `X-Webhook-Signature: sha256=<hex>` next to
+// `X-Webhook-Timestamp`, so receivers can reject replays of old payloads.
+
+export const WEBHOOK_EVENTS = ['run.completed', 'run.failed', 'offer.new', 'offer.changed', 'casino.missing'];
+
+// Sent by the test endpoint regardless of a subscription's event filter
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+// Secrets are only shown in full when a subscription is created
+export function maskWebhookSecret(secret) {
+  return secret ? `${secret.slice(0, 6)}…${secret.slice(-4)}` : secret;
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers (and tests) checking a signature header
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export function webhookHeaders({ secret, event, deliveryId, body, timestamp = Math.floor(Date.now() / 1000) }) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'casino-ai-app-webhooks/1.0',
+    'X-Webhook-Event': event,
+    'X-Webhook-Delivery': String(deliveryId),
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body),
+  };
+}
+
+// Delay before retry number `attempt` (1-based): exponential with jitter,
+// the same shape as withRetry() in concurrency.js
+export function webhookRetryDelayMs(attempt, { baseDelayMs = 30000, maxDelayMs = 3600000 } = {}) {
+  const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
@@ -3,14 +3,100 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import axios from 'axios';
+import { EventEmitter } from 'events';
+import { randomBytes, randomUUID } from 'crypto';
+import { isDeepStrictEqual } from 'util';
+import os from 'os';
+import { createProviderFromEnv, rateLimitFromEnv } from './lib/llm.js';
+import { pricesFromEnv, estimateCost } from './lib/llmCost.js';
+import { CACHED_PURPOSES, cacheTtlsFromEnv, llmCacheKey } from './lib/llmCache.js';
+import { createTokenBucket, runPool, withRetry } from './lib/concurrency.js';
+import { resolveCasino, DEFAULT_RESOLUTION_THRESHOLDS } from './lib/entityResolution.js';
+import { matchOffer, normalizeOfferText, DEFAULT_OFFER_MATCH_OPTIONS } from './lib/offerMatcher.js';
+import { evaluateOffer } from './lib/offerValue.js';
+import { diffRuns } from './lib/runDiff.js';
+import { parseCron, nextCronTime, CronError } from './lib/cron.js';
+import { REVIEW_STATUSES, canTransition, ReviewTransitionError } from './lib/review.js';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_TEST_EVENT,
+  generateWebhookSecret,
+  maskWebhookSecret,
+  webhookHeaders,
+  webhookRetryDelayMs,
+} from './lib/webhooks.js';
+import { planBaselineSync, describeBaselineSync, casinoSyncKey } from './lib/baselineSync.js';
+import { OFFER_STATUSES, diffOfferFields, snapshotOffer, statusForMisses } from './lib/offerHistory.js';
+import {
+  EXPORT_FORMATS,
+  renderExport,
+  OFFER_EXPORT_COLUMNS,
+  CASINO_EXPORT_COLUMNS,
+  runReportTables,
+} from './lib/export.js';
+import {
+  BASELINE_FIELDS,
+  BASELINE_SOURCE_TYPES,
+  BASELINE_ADAPTERS,
+  XANO_DEFAULT_URL,
+  BaselineSourceError,
+  loadBaselineRecords,
+  effectiveFieldMap,
+  parseUpload,
+  detectUploadFormat,
+} from './lib/baselineSources.js';
+import {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  AuthError,
+  hasRole,
+  lowerRole,
+  hashPassword,
+  verifyPassword,
+  signJwt,
+  verifyJwt,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+} from './lib/auth.js';
+import { s, validate, formatErrors } from './lib/schema.js';
+import { pageParams, sortParam, sortSpec, rangeFilter, anyOfIgnoringCase, findPage } from './lib/listQuery.js';
+import {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  upstreamError,
+  errorBody,
+  objectId,
+  idParams,
+  validateRequest,
+} from './lib/apiErrors.js';
+import {
+  OFFER_TYPES,
+  casinoListSchema,
+  offerListSchema,
+  analysisSchema,
+  parseResponse,
+  buildRepairPrompt,
+  LlmValidationError,
+} from './lib/llmSchemas.js';
 
 dotenv.config();
 
 const app = express();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Middleware. CORS_ORIGINS (comma-separated) limits which sites may call
+// the API from a browser; unset, any origin may.
+const CORS_ORIGINS = process.env.CORS_ORIGINS?.split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(CORS_ORIGINS?.length ? { origin: CORS_ORIGINS } : undefined));
+// Baseline uploads are read whole by their own route, up to
+// BASELINE_UPLOAD_LIMIT, whatever Content-Type the client sends
+const jsonParser = express.json();
+const BASELINE_UPLOAD_PATH = /^\/api\/baseline-sources\/[^/]+\/upload\/?$/;
+app.use((req, res, next) => (BASELINE_UPLOAD_PATH.test(req.path) ? next() : jsonParser(req, res, next)));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI, {
@@ -20,7 +106,23 @@ mongoose.connect(process.env.MONGODB_URI, {
 
 const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
-db.once('open', () => console.log('Connected to MongoDB'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+  await seedJurisdictions().catch(error => console.error('Jurisdiction seed error:', error));
+  await seedBaselineSources().catch(error => console.error('Baseline source seed error:', error));
+  await seedAdminUser().catch(error => console.error('Admin user seed error:', error));
+  await recoverOrphanedRuns().catch(error => console.error('Run recovery error:', error));
+  await backfillReviewStatus().catch(error => console.error('Review status backfill error:', error));
+  await recoverAnalysisJobs().catch(error => console.error('Analysis job recovery error:', error));
+  startScheduler();
+  startWebhookDispatcher();
+  // A quick restart can leave a heartbeat that still looks fresh, so check
+  // once more after it has had time to go stale
+  setTimeout(() => {
+    recoverOrphanedRuns().catch(error => console.error('Run recovery error:', error));
+    recoverAnalysisJobs().catch(error => console.error('Analysis job recovery error:', error));
+  }, RUN_HEARTBEAT_TIMEOUT_MS).unref();
+});
 
 // ==================== SCHEMAS ====================
 
@@ -31,11 +133,21 @@ const casinoSchema = new mongoose.Schema({
   website: String,
   licenseNumber: String,
   casinodb_id: Number, // From original API
+  baselineSourceId: mongoose.Schema.Types.ObjectId, // Baseline source that last imported it
+  baselineSourceName: String,
+  // False once its baseline source no longer lists it
+  active: { type: Boolean, default: true },
+  deactivatedAt: Date,
+  aliases: [String], // Other names the casino is known by, used for matching
   discovered: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
   lastUpdated: { type: Date, default: Date.now },
 });
 
+// `?q=` on GET /api/casinos searches names and aliases
+casinoSchema.index({ name: 'text', aliases: 'text' }, { name: 'casino_text' });
+casinoSchema.index({ stateAbbreviation: 1, name: 1 });
+
 const offerSchema = new mongoose.Schema({
   casinoId: mongoose.Schema.Types.ObjectId,
   casinoName: String,
@@ -49,15 +161,140 @@ const offerSchema = new mongoose.Schema({
   bonusAmount: Number,
   bonusType: String,
   terms: String,
+  // Structured fields parsed from `terms` and `description` (see lib/offerValue.js)
+  wageringMultiplier: Number,
+  wageringBase: { type: String, enum: ['bonus', 'deposit+bonus'] },
+  gameContributions: Object, // e.g. { slots: 100, tableGames: 20 }
+  maxBonus: Number,
+  minDeposit: Number,
+  expiryDays: Number,
+  promoCode: String,
+  freeSpins: Number,
+  valueScore: Number, // Expected player value in dollars; null when the type has no value model
+  valueBreakdown: Object,
   source: String, // 'internal-api' or 'ai-research'
+  // For 'internal-api' offers, the baseline source that last imported it
+  baselineSourceId: mongoose.Schema.Types.ObjectId,
+  baselineSourceName: String,
+  // False once its baseline source no longer lists it; inactive internal
+  // offers are left out of research comparisons
+  active: { type: Boolean, default: true },
+  deactivatedAt: Date,
   casinodb_id: Number, // From original API
   discoveredDate: { type: Date, default: Date.now },
-  verified: { type: Boolean, default: false },
+  verified: { type: Boolean, default: false }, // reviewStatus === 'approved' and still active
+  notes: String,
+  // Review workflow (see lib/review.js); every change is written to the audit log
+  reviewStatus: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+  reviewNotes: String,
+  reviewedBy: String,
+  reviewedAt: Date,
+  // Latest AI verdict against the casino's current offers
+  analysis: {
+    isSuperior: Boolean,
+    reasoning: String,
+    recommendation: { type: String, enum: ['add', 'skip'] },
+    model: String,
+    runId: mongoose.Schema.Types.ObjectId,
+    analyzedAt: Date,
+  },
+  // Lifecycle across research runs: 'stale' once missed, 'expired' after repeated misses
+  status: { type: String, enum: OFFER_STATUSES, default: 'active' },
+  lastSeenAt: Date,
+  lastSeenRunId: mongoose.Schema.Types.ObjectId,
+  missedRuns: { type: Number, default: 0 },
+  // One entry per observed change, oldest first; `snapshot` holds the field values after it
+  versions: [{
+    runId: mongoose.Schema.Types.ObjectId,
+    baselineSourceId: mongoose.Schema.Types.ObjectId, // Set instead of runId for changes made by init
+    observedAt: { type: Date, default: Date.now },
+    changes: [{ field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed, _id: false }],
+    // Research saw an internal offer. Its fields belong to the baseline
+    // source, so what research reported differently is kept in `reported`
+    // and not applied.
+    observedOnly: Boolean,
+    reported: [{ field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed, _id: false }],
+    snapshot: Object,
+  }],
+});
+
+// `?q=` on GET /api/offers; a match in the offer name counts for most
+offerSchema.index(
+  { offerName: 'text', casinoName: 'text', description: 'text', terms: 'text' },
+  { name: 'offer_text', weights: { offerName: 10, casinoName: 5, description: 2, terms: 1 } }
+);
+offerSchema.index({ stateAbbreviation: 1, discoveredDate: -1 });
+offerSchema.index({ source: 1, reviewStatus: 1 });
+offerSchema.index({ valueScore: -1 });
+
+const jurisdictionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  abbreviation: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  regulatorName: String,
+  regulatorUrl: String,
+  enabled: { type: Boolean, default: true },
   notes: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now },
 });
 
+const RESEARCH_PHASES = ['discovery', 'offers'];
+
 const researchRunSchema = new mongoose.Schema({
-  status: { type: String, enum: ['pending', 'in-progress', 'completed', 'failed'], default: 'pending' },
+  status: {
+    type: String,
+    enum: ['pending', 'in-progress', 'paused', 'completed', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+  // Set by the pause/cancel endpoints and picked up by the running job
+  controlRequest: { type: String, enum: ['pause', 'cancel', null], default: null },
+  pausedAt: Date,
+  resumedAt: Date,
+  // Refreshed while performResearch is executing; a stale heartbeat on an
+  // in-progress run means the process running it went away
+  heartbeatAt: Date,
+  failureReason: String,
+  // Work already done, so a resumed run can skip it
+  checkpoint: {
+    discoveredStates: [String],
+    completedStates: [String],
+    completedCasinos: [String],
+  },
+  scope: {
+    states: [String],
+    casinoIds: [mongoose.Schema.Types.ObjectId],
+    phases: [{ type: String, enum: RESEARCH_PHASES }],
+    dryRun: { type: Boolean, default: false },
+    budgetUsd: Number, // Estimated LLM spend at which the run pauses itself
+    // Ask the model again instead of using cached results, for every call or
+    // only the offers of these casinos
+    forceRefresh: { type: Boolean, default: false },
+    forceRefreshCasinoIds: [mongoose.Schema.Types.ObjectId],
+  },
+  // Why a run paused without being asked to
+  stopReason: { type: String, enum: ['budget', null], default: null },
+  // Totals of the run's LlmCall records, kept up to date as calls finish.
+  // `cost` leaves out calls to models with no price (`unpricedCalls`).
+  usage: {
+    calls: { type: Number, default: 0 },
+    failedCalls: { type: Number, default: 0 },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 },
+    unpricedCalls: { type: Number, default: 0 },
+    costByPurpose: {
+      discovery: { type: Number, default: 0 },
+      offers: { type: Number, default: 0 },
+      analysis: { type: Number, default: 0 },
+    },
+  },
+  // Discovery and offer results served from the LLM cache vs. asked for
+  cache: {
+    hits: { type: Number, default: 0 },
+    misses: { type: Number, default: 0 },
+  },
+  scheduleId: mongoose.Schema.Types.ObjectId, // Set when started by a schedule
+  startedBy: { userId: mongoose.Schema.Types.ObjectId, name: String }, // Set when started from the API
   startedAt: { type: Date, default: Date.now },
   completedAt: Date,
   currentState: String,
@@ -65,64 +302,551 @@ const researchRunSchema = new mongoose.Schema({
   offersProcessed: { type: Number, default: 0 },
   casinosProcessed: { type: Number, default: 0 },
   progressLog: [String],
+  failures: [
+    {
+      phase: { type: String, enum: ['discovery', 'offers'] },
+      state: String,
+      casinoName: String,
+      error: String,
+      attempts: Number,
+      failedAt: { type: Date, default: Date.now },
+    },
+  ],
+  validationFailures: [
+    {
+      purpose: { type: String, enum: ['discovery', 'offers', 'analysis'] },
+      state: String,
+      casinoName: String,
+      attempt: Number,
+      errors: [String],
+      at: { type: Date, default: Date.now },
+    },
+  ],
   missingCasinos: [
     {
       state: String,
       casinos: [String],
     },
   ],
+  // Everything discovery returned per state (resolved to stored names), and
+  // every offer each casino returned; used to diff runs
+  discoveredCasinos: [
+    {
+      state: String,
+      stateAbbreviation: String,
+      casinos: [String],
+      cachedAt: Date, // Set when the list came from the cache
+    },
+  ],
+  observedOffers: [
+    {
+      state: String,
+      casinoName: String,
+      cachedAt: Date,
+      offers: [{
+        offerId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        type: String,
+        deposit: Number,
+        bonus: Number,
+        valueScore: Number,
+        _id: false,
+      }],
+    },
+  ],
+  // Discovered names that resemble an existing casino but not closely enough
+  // to be treated as the same one
+  possibleDuplicates: [
+    {
+      state: String,
+      stateAbbreviation: String,
+      discoveredName: String,
+      candidateId: mongoose.Schema.Types.ObjectId,
+      candidateName: String,
+      matchedOn: String,
+      score: Number,
+      resolution: { type: String, enum: ['pending', 'same', 'different'], default: 'pending' },
+    },
+  ],
   offerComparisons: [
     {
       casinoName: String,
       state: String,
+      cachedAt: Date,
       currentOffers: [Object],
       discoveredOffers: [Object],
       newOffers: [Object],
     },
   ],
+  // Background analysis of every comparison's new offers; `updatedAt` is
+  // refreshed after each comparison so an abandoned job can be detected
+  analysisJob: {
+    status: { type: String, enum: ['queued', 'in-progress', 'completed', 'failed'] },
+    total: Number,
+    processed: Number,
+    failed: Number,
+    skipped: Number,
+    force: Boolean,
+    startedAt: Date,
+    updatedAt: Date,
+    completedAt: Date,
+    error: String,
+  },
   summary: {
     totalMissingCasinos: Number,
     totalNewOffers: Number,
+    totalFailures: Number,
+    totalPossibleDuplicates: Number,
     statesProcessed: [String],
   },
 });
 
+const scheduleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  cron: { type: String, required: true, trim: true }, // Server local time, see lib/cron.js
+  scope: {
+    states: [String],
+    phases: [{ type: String, enum: RESEARCH_PHASES }],
+    dryRun: { type: Boolean, default: false },
+    budgetUsd: Number,
+    forceRefresh: { type: Boolean, default: false },
+  },
+  enabled: { type: Boolean, default: true },
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastRunId: mongoose.Schema.Types.ObjectId,
+  lastResult: { type: String, enum: ['started', 'skipped', 'failed'] },
+  lastMessage: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now },
+});
+
+// The next slot follows the expression whenever it or `enabled` changes
+scheduleSchema.pre('save', function () {
+  if (this.isNew || this.isModified('cron') || this.isModified('enabled')) {
+    this.nextRunAt = this.enabled ? nextCronTime(this.cron) : null;
+  }
+});
+
+// Short-lived named locks shared by every server instance
+const lockSchema = new mongoose.Schema({
+  _id: String,
+  owner: String,
+  expiresAt: Date,
+});
+
+// Every write to a run is announced in-process so SSE streams can push it
+// without polling. Streams still re-sync periodically to pick up writes made
+// by other server instances.
+const runEvents = new EventEmitter();
+runEvents.setMaxListeners(0);
+
+researchRunSchema.post(['findOneAndUpdate', 'updateOne'], function () {
+  const id = this.getQuery()._id;
+  if (id) runEvents.emit('change', String(id));
+});
+
+// Append-only record of review decisions, deletions and other changes made
+// through the API
+const auditLogSchema = new mongoose.Schema({
+  entityType: { type: String, required: true }, // 'offer', 'run', 'schedule', 'webhook', 'user', ...
+  entityId: { type: mongoose.Schema.Types.ObjectId, index: true }, // Absent for changes across many entities, e.g. a rescore
+  action: { type: String, required: true }, // 'review', 'delete', 'create', 'update', ...
+  from: String,
+  to: String,
+  notes: String,
+  actor: String, // User name, or 'research-run' for automatic changes
+  actorId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  runId: mongoose.Schema.Types.ObjectId,
+  details: Object,
+  at: { type: Date, default: Date.now },
+});
+
+// One model call (each retry and repair is its own call), for cost
+// accounting. `cost` is an estimate in USD from lib/llmCost.js, null when the
+// model has no price.
+const LLM_CALL_PURPOSES = ['discovery', 'offers', 'analysis'];
+
+const llmCallSchema = new mongoose.Schema({
+  purpose: { type: String, enum: LLM_CALL_PURPOSES, required: true },
+  runId: mongoose.Schema.Types.ObjectId,
+  state: String,
+  casinoName: String,
+  provider: String,
+  model: String,
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  latencyMs: Number,
+  cost: Number,
+  error: String, // Set when the call failed
+  at: { type: Date, default: Date.now },
+});
+llmCallSchema.index({ runId: 1, at: 1 });
+llmCallSchema.index({ at: -1 });
+
+// Validated discovery and offer results, see lib/llmCache.js. `_id` is the
+// cache key; Mongo drops entries once `expiresAt` passes.
+const llmCacheEntrySchema = new mongoose.Schema({
+  _id: String,
+  purpose: { type: String, enum: CACHED_PURPOSES },
+  model: String,
+  jurisdiction: String,
+  casinoName: String,
+  value: Object,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, index: { expireAfterSeconds: 0 } },
+});
+
+// Systems the internal offer baseline is loaded from; see lib/baselineSources.js
+const baselineSourceSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  type: { type: String, enum: BASELINE_SOURCE_TYPES, required: true },
+  enabled: { type: Boolean, default: true },
+  config: {
+    url: String,
+    recordsPath: String, // Dotted path to the record array in a JSON response or upload
+    headers: [{ name: String, value: String, _id: false }],
+  },
+  fieldMap: Object, // Overrides of the adapter's default mapping
+  upload: {
+    filename: String,
+    format: { type: String, enum: ['csv', 'json'] },
+    content: String,
+    records: Number,
+    uploadedAt: Date,
+  },
+  lastImport: {
+    at: Date,
+    status: { type: String, enum: ['completed', 'failed'] },
+    total: Number,
+    offers: Number,
+    casinos: Number,
+    skipped: Number,
+    added: Number,
+    updated: Number,
+    deactivated: Number,
+    error: String,
+    by: String, // Who ran the init
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now },
+});
+
+// Header values are usually credentials, and uploads can be large
+baselineSourceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.config?.headers) ret.config.headers = ret.config.headers.map(({ name }) => ({ name, value: '••••' }));
+    if (ret.upload) delete ret.upload.content;
+    return ret;
+  },
+});
+
+// Outbound webhook subscriptions; see lib/webhooks.js for signing
+const webhookSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  url: { type: String, required: true, trim: true },
+  secret: { type: String, required: true },
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  enabled: { type: Boolean, default: true },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now },
+});
+
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => ({ ...ret, secret: maskWebhookSecret(ret.secret) }),
+});
+
+// One event sent to one subscription, with every attempt at sending it
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  event: { type: String, required: true },
+  payload: Object,
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attemptCount: { type: Number, default: 0 },
+  attempts: [{
+    at: Date,
+    statusCode: Number,
+    error: String,
+    response: String, // First part of the receiver's response body
+    durationMs: Number,
+  }],
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Dashboard and API users; see lib/auth.js
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  disabled: { type: Boolean, default: false },
+  // Bumped when the password changes, which invalidates existing sessions
+  tokenVersion: { type: Number, default: 0 },
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now },
+});
+
+userSchema.set('toJSON', {
+  transform: (doc, { passwordHash, tokenVersion, ...ret }) => ret,
+});
+
+// Keys for scripts and integrations. Only a hash of the key is stored; a
+// key acts as its owner, with at most `role`.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  keyHash: { type: String, required: true, unique: true },
+  prefix: String,
+  role: { type: String, enum: ROLES, required: true },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+apiKeySchema.set('toJSON', {
+  transform: (doc, { keyHash, ...ret }) => ret,
+});
+
 const Casino = mongoose.model('Casino', casinoSchema);
 const Offer = mongoose.model('Offer', offerSchema);
 const ResearchRun = mongoose.model('ResearchRun', researchRunSchema);
+const Jurisdiction = mongoose.model('Jurisdiction', jurisdictionSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const LlmCall = mongoose.model('LlmCall', llmCallSchema);
+const LlmCacheEntry = mongoose.model('LlmCacheEntry', llmCacheEntrySchema);
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+const Lock = mongoose.model('Lock', lockSchema);
+const BaselineSource = mongoose.model('BaselineSource', baselineSourceSchema);
+const Webhook = mongoose.model('Webhook', webhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+const User = mongoose.model('User', userSchema);
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+// The jurisdictions researched before they were configurable; inserted once
+// into an empty collection so existing deployments keep working
+const DEFAULT_JURISDICTIONS = [
+  {
+    name: 'New Jersey',
+    abbreviation: 'NJ',
+    regulatorName: 'New Jersey Division of Gaming Enforcement',
+    regulatorUrl: 'https://www.njoag.gov/about/divisions-and-offices/division-of-gaming-enforcement-home/',
+  },
+  {
+    name: 'Michigan',
+    abbreviation: 'MI',
+    regulatorName: 'Michigan Gaming Control Board',
+    regulatorUrl: 'https://www.michigan.gov/mgcb',
+  },
+  {
+    name: 'Pennsylvania',
+    abbreviation: 'PA',
+    regulatorName: 'Pennsylvania Gaming Control Board',
+    regulatorUrl: 'https://gamingcontrolboard.pa.gov/',
+  },
+  {
+    name: 'West Virginia',
+    abbreviation: 'WV',
+    regulatorName: 'West Virginia Lottery Commission',
+    regulatorUrl: 'https://wvlottery.com/',
+  },
+];
+
+async function seedJurisdictions() {
+  if (await Jurisdiction.estimatedDocumentCount() > 0) return;
+  await Jurisdiction.insertMany(DEFAULT_JURISDICTIONS);
+  console.log(`Seeded ${DEFAULT_JURISDICTIONS.length} default jurisdictions`);
+}
+
+// The Xano feed init used before sources were configurable; added once
+async function seedBaselineSources() {
+  if (await BaselineSource.estimatedDocumentCount() > 0) return;
+  await BaselineSource.create({ name: 'Xano active offers', type: 'xano', config: { url: XANO_DEFAULT_URL } });
+  console.log('Seeded the Xano baseline source');
+}
+
+// The first admin comes from ADMIN_EMAIL and ADMIN_PASSWORD, or is created
+// from the login screen (POST /api/auth/setup) while there are no users
+async function seedAdminUser() {
+  if (await User.estimatedDocumentCount() > 0) return;
+  const { ADMIN_EMAIL: email, ADMIN_PASSWORD: password } = process.env;
+  if (!email || !password) {
+    console.log('👤 No users yet: open the dashboard to create the first admin');
+    return;
+  }
+  // Held to the same rules as passwords sent to the API
+  const { errors } = validate(passwordField, password);
+  if (errors.length > 0) {
+    console.error(`👤 ADMIN_PASSWORD ${errors[0].message}; open the dashboard to create the first admin instead`);
+    return;
+  }
+  await User.create({ email, name: email, passwordHash: await hashPassword(password), role: 'admin' });
+  console.log(`👤 Created admin user ${email}`);
+}
 
 // ==================== AI RESEARCH SERVICE ====================
 
-async function callClaudeAPI(prompt) {
+const llm = createProviderFromEnv();
+console.log(`🤖 LLM provider: ${llm.name} (${llm.model})`);
+
+const llmRateLimit = rateLimitFromEnv(llm);
+const llmBucket = llmRateLimit && createTokenBucket({
+  capacity: llmRateLimit.burst,
+  refillPerSecond: llmRateLimit.requestsPerMinute / 60,
+});
+const LLM_MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 3);
+const RESEARCH_CONCURRENCY = Number(process.env.RESEARCH_CONCURRENCY) || 4;
+const LLM_MAX_REPAIRS = Number(process.env.LLM_MAX_REPAIRS ?? 2);
+const LLM_PRICES = pricesFromEnv();
+// Budget for runs started without one; unset means no limit
+const RESEARCH_BUDGET_USD = Number(process.env.RESEARCH_BUDGET_USD) || null;
+const LLM_CACHE_TTL_HOURS = cacheTtlsFromEnv();
+const OFFER_MATCH_OPTIONS = {
+  threshold: Number(process.env.OFFER_MATCH_THRESHOLD) || DEFAULT_OFFER_MATCH_OPTIONS.threshold,
+  weights: process.env.OFFER_MATCH_WEIGHTS
+    ? { ...DEFAULT_OFFER_MATCH_OPTIONS.weights, ...JSON.parse(process.env.OFFER_MATCH_WEIGHTS) }
+    : DEFAULT_OFFER_MATCH_OPTIONS.weights,
+  minComparedWeight: Number(process.env.OFFER_MATCH_MIN_COMPARED_WEIGHT) || DEFAULT_OFFER_MATCH_OPTIONS.minComparedWeight,
+};
+// Looser than OFFER_MATCH_OPTIONS and driven by name and type, so a research
+// offer whose amounts changed is recognised as a new version of itself
+const OFFER_VERSION_MATCH_OPTIONS = {
+  threshold: Number(process.env.OFFER_VERSION_MATCH_THRESHOLD) || 0.7,
+  weights: { name: 0.5, type: 0.3, bonus: 0.1, deposit: 0.05, terms: 0.05 },
+};
+const OFFER_STALENESS = {
+  staleAfter: Number(process.env.OFFER_STALE_AFTER_MISSES) || 1,
+  expireAfter: Number(process.env.OFFER_EXPIRE_AFTER_MISSES) || 3,
+};
+const CASINO_RESOLUTION_THRESHOLDS = {
+  match: Number(process.env.CASINO_MATCH_THRESHOLD) || DEFAULT_RESOLUTION_THRESHOLDS.match,
+  review: Number(process.env.CASINO_REVIEW_THRESHOLD) || DEFAULT_RESOLUTION_THRESHOLDS.review,
+};
+
+// Stores one call and adds it to its run's usage. Accounting must never
+// fail the research it is measuring, so errors are only logged.
+async function recordLlmCall(call, { model, usage, latencyMs, error }) {
+  const cost = error ? 0 : estimateCost(model, usage, LLM_PRICES);
+  const promptTokens = usage?.promptTokens || 0;
+  const completionTokens = usage?.completionTokens || 0;
   try {
-    const response = await axios.post(
-      'https://openrouter.ai/api/v1/chat/completions',
-      {
-        model: 'anthropic/claude-sonnet-4.5',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
-          //'HTTP-Referer': process.env.APP_URL || 'http://localhost:5173',
-          //'X-Title': 'Casino AI Researcher',
+    await LlmCall.create({
+      ...call,
+      provider: llm.name,
+      model,
+      promptTokens,
+      completionTokens,
+      latencyMs,
+      cost,
+      error: error?.message,
+    });
+    if (call.runId) {
+      await ResearchRun.updateOne({ _id: call.runId }, {
+        $inc: {
+          'usage.calls': 1,
+          'usage.failedCalls': error ? 1 : 0,
+          'usage.promptTokens': promptTokens,
+          'usage.completionTokens': completionTokens,
+          'usage.cost': cost || 0,
+          'usage.unpricedCalls': cost === null ? 1 : 0,
+          [`usage.costByPurpose.${call.purpose}`]: cost || 0,
         },
-      }
-    );
-    return response.data.choices[0].message.content;
-  } catch (error) {
-    console.error('OpenRouter API error:', error.response?.data || error.message);
-    throw error;
+      });
+    }
+  } catch (recordError) {
+    console.error('Could not record LLM call:', recordError.message);
+  }
+}
+
+// Every attempt waits for a rate-limit token; transient failures (429, 5xx,
+// timeouts) are retried with backoff before the error reaches the caller.
+// `call` describes what the call is for ({ purpose, runId, state, ... }) and
+// is stored with each attempt's usage.
+async function callClaudeAPI(prompt, { onRetry, call } = {}) {
+  const { text } = await withRetry(async () => {
+    if (llmBucket) await llmBucket.acquire();
+    const startedAt = Date.now();
+    try {
+      const result = await llm.complete(prompt);
+      if (call) await recordLlmCall(call, { model: result.model, usage: result.usage, latencyMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      if (call) await recordLlmCall(call, { model: llm.model, usage: null, latencyMs: Date.now() - startedAt, error });
+      throw error;
+    }
+  }, {
+    retries: LLM_MAX_RETRIES,
+    onRetry: async (error, attempt, delay) => {
+      const reason = error.response?.status ?? error.status ?? error.code ?? error.message;
+      console.warn(`LLM call failed (${reason}), retry ${attempt}/${LLM_MAX_RETRIES} in ${delay}ms`);
+      if (onRetry) await onRetry(reason, attempt, delay);
+    },
+  });
+  return text;
+}
+
+// Calls the model and validates its JSON against `schema`. Invalid output is
+// sent back with the validation errors for up to LLM_MAX_REPAIRS repair
+// attempts; onValidationFailure is told about every failed attempt.
+async function callClaudeJSON(prompt, schema, purpose, { onRetry, onValidationFailure, call } = {}) {
+  const callOptions = { onRetry, call: { ...call, purpose } };
+  let response = await callClaudeAPI(prompt, callOptions);
+
+  for (let attempt = 1; ; attempt++) {
+    const { value, errors } = parseResponse(schema, response);
+    if (errors.length === 0) return value;
+
+    console.warn(`${purpose} response failed validation (attempt ${attempt}):`, formatErrors(errors));
+    if (onValidationFailure) await onValidationFailure({ purpose, attempt, errors: formatErrors(errors) });
+    if (attempt > LLM_MAX_REPAIRS) throw new LlmValidationError(purpose, errors, attempt);
+
+    response = await callClaudeAPI(buildRepairPrompt(prompt, response, errors), callOptions);
+  }
+}
+
+// Serves `compute()`'s result from the cache when an entry younger than the
+// call type's TTL exists, otherwise computes and caches it. Returns
+// { value, cachedAt }, cachedAt being null for a fresh result. The age is
+// checked against the current TTL, so lowering it applies to old entries.
+async function withLlmCache({ purpose, jurisdiction, casinoName, prompt, forceRefresh }, compute) {
+  const ttlHours = LLM_CACHE_TTL_HOURS[purpose];
+  if (!ttlHours) return { value: await compute(), cachedAt: null };
+
+  const key = llmCacheKey({ purpose, model: llm.model, jurisdiction, prompt });
+  const ttlMs = ttlHours * 60 * 60 * 1000;
+  if (!forceRefresh) {
+    const entry = await LlmCacheEntry.findOne({ _id: key, createdAt: { $gt: new Date(Date.now() - ttlMs) } });
+    if (entry) return { value: entry.value, cachedAt: entry.createdAt };
   }
+
+  const value = await compute();
+  const now = new Date();
+  // A failed write only costs a future cache hit
+  await LlmCacheEntry.updateOne(
+    { _id: key },
+    { $set: { purpose, model: llm.model, jurisdiction, casinoName, value, createdAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+    { upsert: true }
+  ).catch(error => console.error('Could not cache LLM result:', error.message));
+  return { value, cachedAt: null };
 }
 
-async function discoverCasinosByState(state) {
+// Returns { casinos, cachedAt }; `options.forceRefresh` skips the cache
+async function discoverCasinosByState(jurisdiction, options) {
+  const state = jurisdiction.name;
+  const regulator = jurisdiction.regulatorName
+    ? `the ${jurisdiction.regulatorName}${jurisdiction.regulatorUrl ? ` (${jurisdiction.regulatorUrl})` : ''}`
+    : 'official state gaming commission sources';
+
   const prompt = `You are a research assistant. Please provide a JSON response ONLY, no other text.
 
-Find all currently licensed and operational casinos in ${state} according to official state gaming commission sources. 
+Find all currently licensed and operational casinos in ${state} according to ${regulator}. 
 Return ONLY valid JSON in this exact format:
 {
   "casinos": [
@@ -135,24 +859,18 @@ Return ONLY valid JSON in this exact format:
   ]
 }
 
-Include all major casinos from official ${state} gaming commission data.`;
+Include all major casinos from official ${jurisdiction.regulatorName || `${state} gaming commission`} data.${jurisdiction.notes ? `\n\nAdditional context: ${jurisdiction.notes}` : ''}`;
 
-  try {
-    const response = await callClaudeAPI(prompt);
-    // Extract JSON from response
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      return parsed.casinos || [];
-    }
-    return [];
-  } catch (error) {
-    console.error(`Error discovering casinos for ${state}:`, error);
-    return [];
-  }
+  const { value, cachedAt } = await withLlmCache(
+    { purpose: 'discovery', jurisdiction: jurisdiction.abbreviation, prompt, forceRefresh: options.forceRefresh },
+    async () => (await callClaudeJSON(prompt, casinoListSchema, 'discovery', options)).casinos
+  );
+  return { casinos: value, cachedAt };
 }
 
-async function researchCasinoOffers(casinoName, state) {
+// Returns { offers, cachedAt }; `options.forceRefresh` skips the cache
+async function researchCasinoOffers(casinoName, jurisdiction, options) {
+  const state = jurisdiction.name;
   const prompt = `You are a research assistant. Please provide a JSON response ONLY, no other text.
 
 Research the current casino (NOT sports betting) promotional offers for ${casinoName} in ${state}.
@@ -161,7 +879,7 @@ Return ONLY valid JSON in this exact format:
   "offers": [
     {
       "offerName": "Full Offer Name/Title",
-      "offerType": "welcome|deposit-match|lossback|free-spins|reload|loyalty",
+      "offerType": "${OFFER_TYPES.join('|')}",
       "expectedDeposit": 1000,
       "expectedBonus": 1000,
       "description": "Detailed description of the offer",
@@ -173,336 +891,2483 @@ Return ONLY valid JSON in this exact format:
 Focus on casino bonuses, not sports betting. Include deposit requirements and bonus amounts.
 If no offers found, return {"offers": []}.`;
 
-  try {
-    const response = await callClaudeAPI(prompt);
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      return parsed.offers || [];
-    }
-    return [];
-  } catch (error) {
-    console.error(`Error researching offers for ${casinoName}:`, error);
-    return [];
-  }
+  const { value, cachedAt } = await withLlmCache(
+    { purpose: 'offers', jurisdiction: jurisdiction.abbreviation, casinoName, prompt, forceRefresh: options.forceRefresh },
+    async () => (await callClaudeJSON(prompt, offerListSchema, 'offers', options)).offers
+  );
+  return { offers: value, cachedAt };
 }
 
-// ==================== API ENDPOINTS ====================
+// Computed numbers for the analysis prompt, from an offer in comparison form
+function describeOfferValue(o) {
+  const value = evaluateOffer({
+    offerName: o.name,
+    offerType: o.type,
+    expectedDeposit: o.deposit,
+    expectedBonus: o.bonus,
+    description: o.description,
+    terms: o.terms,
+  });
+  const parts = [
+    value.wageringMultiplier !== undefined && `Wagering: ${value.wageringMultiplier}x ${value.wageringBase}`,
+    value.gameContributions && `Game contributions: ${Object.entries(value.gameContributions).map(([game, pct]) => `${game} ${pct}%`).join(', ')}`,
+    value.maxBonus !== undefined && `Max bonus: $${value.maxBonus}`,
+    value.minDeposit !== undefined && `Min deposit: $${value.minDeposit}`,
+    value.expiryDays !== undefined && `Expires: ${value.expiryDays} days`,
+    value.valueScore !== null
+      ? `Expected player value: $${value.valueScore} (${value.valueBreakdown.method}${value.valueBreakdown.notes.length ? '; ' + value.valueBreakdown.notes.join(', ') : ''})`
+      : 'Expected player value: not computed',
+  ].filter(Boolean);
+  return parts.join(', ');
+}
 
-// Fetch and store initial offers from the provided API
-app.post('/api/research/init', async (req, res) => {
-  try {
-    const response = await axios.get('https://xhks-nxia-vlqr.n7c.xano.io/api:1ZwRS-f0/activeSUB');
-    const apiData = response.data;
-
-    console.log(`Fetched ${apiData.length} offers from API`);
-
-    // Store offers and extract casinos
-    const casinos = new Map();
-    let offersImported = 0;
-
-    for (const item of apiData) {
-      // Store offer with proper field mapping
-      await Offer.findOneAndUpdate(
-        {
-          casinoName: item.Name,
-          stateAbbreviation: item.state.Abbreviation,
-          offerName: item.Offer_Name,
-        },
-        {
-          casinoName: item.Name,
-          state: item.state.Name,
-          stateAbbreviation: item.state.Abbreviation,
-          offerName: item.Offer_Name,
-          offerType: item.offer_type || 'unknown',
-          expectedDeposit: item.Expected_Deposit || 0,
-          expectedBonus: item.Expected_Bonus || 0,
-          bonusAmount: item.Expected_Bonus || 0,
-          bonusType: (item.offer_type || 'unknown').toLowerCase(),
-          source: 'internal-api',
-          casinodb_id: item.casinodb_id,
-          verified: true,
-          discoveredDate: new Date(),
-        },
-        { upsert: true, new: true }
-      );
-      offersImported++;
-
-      // Track unique casinos
-      const casinoKey = `${item.Name}-${item.state.Abbreviation}`;
-      if (!casinos.has(casinoKey)) {
-        casinos.set(casinoKey, {
-          name: item.Name,
-          state: item.state.Name,
-          stateAbbreviation: item.state.Abbreviation,
-          casinodb_id: item.casinodb_id,
-        });
-      }
-    }
+// Asks the model which of a casino's new offers beat its current ones and
+// stores each verdict on the new offer's Offer document where there is one.
+// Offers are in comparison form ({ name, type, deposit, bonus, ... }).
+async function analyzeNewOffers({ casinoName, state, currentOffers, newOffers, runId }) {
+  const prompt = `You are a casino promotions analyst. Compare these offers and determine which new offers are genuinely superior.
+
+Casino: ${casinoName}
+
+Current Offers (What we already have):
+${currentOffers.map((o, i) => `${i + 1}. ${o.name} - Type: ${o.type}, Deposit: ${o.deposit}, Bonus: ${o.bonus}
+   ${describeOfferValue(o)}`).join('\n')}
+
+New Offers (Discovered by AI):
+${newOffers.map((o, i) => `${i + 1}. ${o.name} - Type: ${o.type}, Deposit: ${o.deposit}, Bonus: ${o.bonus}${o.description ? ', Description: ' + o.description : ''}
+   ${describeOfferValue(o)}`).join('\n')}
 
-    // Store casinos
-    let casinosImported = 0;
-    for (const casino of casinos.values()) {
-      await Casino.findOneAndUpdate(
-        { name: casino.name, stateAbbreviation: casino.stateAbbreviation },
-        { ...casino, discovered: false, lastUpdated: new Date() },
-        { upsert: true, new: true }
-      );
-      casinosImported++;
+Analyze each new offer and return ONLY valid JSON in this format:
+{
+  "analysis": [
+    {
+      "offerName": "New offer name",
+      "isSuperior": true or false,
+      "reasoning": "Brief explanation why it's superior or not",
+      "recommendation": "add" or "skip"
     }
+  ]
+}
+
+The expected player value is computed from the parsed terms: bonus minus the
+expected loss from clearing the wagering requirement at a 4% house edge.
+Treat it as the primary measure of value and cite it in your reasoning; values
+marked as assumed came from defaults because the terms did not state them.
+
+Also consider:
+- Wagering requirements and game contributions (lower wagering, higher slot contribution is better)
+- Deposit requirements vs bonus amount ratio
+- Expiry (more days to clear is better)
+- Uniqueness compared to current offers`;
+
+  const { analysis } = await callClaudeJSON(prompt, analysisSchema, 'analysis', {
+    call: { runId, state, casinoName },
+    // Analysis is requested from a run's comparison, so failures are logged on that run
+    onValidationFailure: runId && (({ purpose, attempt, errors }) => ResearchRun.findByIdAndUpdate(runId, {
+      $push: { validationFailures: { purpose, casinoName, attempt, errors, at: new Date() } },
+    })),
+  });
 
-    res.json({ 
-      success: true, 
-      offersImported, 
-      casinos: casinosImported,
-      message: `Imported ${offersImported} offers from ${casinosImported} casinos`
+  const analyzedAt = new Date();
+  for (const item of analysis) {
+    const offer = newOffers.find(o => o.name === item.offerName)
+      || newOffers.find(o => normalizeOfferText(o.name) === normalizeOfferText(item.offerName));
+    if (!offer?.offerId) continue;
+    await Offer.updateOne({ _id: offer.offerId }, {
+      analysis: {
+        isSuperior: item.isSuperior,
+        reasoning: item.reasoning,
+        recommendation: item.recommendation,
+        model: llm.model,
+        runId,
+        analyzedAt,
+      },
     });
-  } catch (error) {
-    console.error('Init error:', error);
-    res.status(500).json({ error: error.message });
   }
-});
+  return analysis;
+}
 
-// Trigger a full research run
-app.post('/api/research/run', async (req, res) => {
-  const run = await ResearchRun.create({ status: 'in-progress' });
+// ==================== AUTHENTICATION ====================
 
-  // Run async - don't wait for completion
-  performResearch(run._id).catch(console.error);
+// Without JWT_SECRET sessions are signed with a per-process secret, so
+// everyone is signed out when the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) console.warn('⚠️  JWT_SECRET is not set; sessions will not survive a restart');
+const SESSION_TTL_SEC = (Number(process.env.SESSION_TTL_HOURS) || 12) * 3600;
 
-  res.json({ runId: run._id, status: 'in-progress' });
-});
+const sessionUser = (user, extra = {}) => ({ id: user._id, email: user.email, name: user.name, role: user.role, ...extra });
 
-async function performResearch(runId) {
-  const progressLog = [];
-  const logProgress = async (message) => {
-    console.log(message);
-    progressLog.push(`[${new Date().toISOString()}] ${message}`);
-    await ResearchRun.findByIdAndUpdate(runId, { 
-      $push: { progressLog: `[${new Date().toISOString()}] ${message}` }
-    });
-  };
+async function userForSession(token) {
+  const claims = verifyJwt(token, JWT_SECRET);
+  const user = await User.findById(claims.sub);
+  if (!user || user.disabled || user.tokenVersion !== claims.ver) throw new AuthError('Session is no longer valid');
+  return sessionUser(user, { via: 'session' });
+}
+
+async function userForApiKey(key) {
+  const now = new Date();
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { keyHash: hashApiKey(key), revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    { lastUsedAt: now },
+    { new: true }
+  );
+  const user = apiKey && await User.findById(apiKey.userId);
+  if (!user || user.disabled) throw new AuthError('Invalid API key');
+  return sessionUser(user, { role: lowerRole(apiKey.role, user.role), via: 'api-key', apiKeyId: apiKey._id, apiKeyName: apiKey.name });
+}
 
+// Works out who is calling from `Authorization: Bearer <session token or
+// API key>` or `X-API-Key`. GET requests may pass `?access_token=` instead,
+// since EventSource and download links can't set headers. Requests without
+// valid credentials carry on anonymously, so public routes still answer a
+// stale session; requireRole turns them away, saying why the credentials
+// were rejected.
+async function authenticate(req, res, next) {
+  const token = req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1]
+    || req.get('x-api-key')
+    || (req.method === 'GET' ? req.query.access_token : undefined);
+  if (!token) return next();
   try {
-    const run = await ResearchRun.findById(runId);
-    const states = {
-      'NJ': 'New Jersey',
-      'MI': 'Michigan',
-      'PA': 'Pennsylvania',
-      'WV': 'West Virginia'
-    };
-    
-    const missingCasinos = [];
-    const offerComparisons = [];
-    let totalNewOffers = 0;
-    let totalCasinosProcessed = 0;
-    let totalOffersProcessed = 0;
+    req.user = isApiKey(token) ? await userForApiKey(token) : await userForSession(token);
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    req.authError = error;
+  }
+  next();
+}
 
-    await logProgress('🚀 Research started for all states');
+// Route guard: viewer < analyst < admin
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) throw unauthorized(req.authError?.message || 'Sign in or send an API key');
+    if (!hasRole(req.user.role, role)) throw forbidden(`This needs the ${role} role`);
+    next();
+  };
+}
 
-    for (const [abbrev, stateName] of Object.entries(states)) {
-      await ResearchRun.findByIdAndUpdate(runId, { 
-        currentState: stateName,
-        currentCasino: null 
-      });
-      await logProgress(`\n📍 Researching ${stateName} (${abbrev})...`);
+const actorName = (user) => (user.apiKeyName ? `${user.name} (API key "${user.apiKeyName}")` : user.name);
 
-      // Discover casinos
-      await logProgress(`  🔍 Discovering casinos in ${stateName}...`);
-      const discoveredCasinos = await discoverCasinosByState(stateName);
-      await logProgress(`  ✅ Found ${discoveredCasinos.length} casinos in official records`);
-      
-      const existingCasinos = await Casino.find({ stateAbbreviation: abbrev, discovered: false });
-      const existingNames = new Set(existingCasinos.map(c => c.name.toLowerCase().trim()));
-
-      const missing = [];
-
-      // Store discovered casinos and find missing ones
-      for (const casino of discoveredCasinos) {
-        const normalizedName = casino.name.toLowerCase().trim();
-        const existingCasino = await Casino.findOne({
-          $or: [
-            { name: new RegExp(`^${casino.name}$` , 'i'), stateAbbreviation: abbrev },
-            { name: normalizedName, stateAbbreviation: abbrev }
-          ]
-        });
+// Audit entry for a change made by the requesting user
+const auditAction = (req, entry) => AuditLog.create({ ...entry, actor: actorName(req.user), actorId: req.user.id });
 
-        if (!existingCasino) {
-          missing.push(casino.name);
-          await Casino.create({
-            ...casino,
-            state: stateName,
-            stateAbbreviation: abbrev,
-            discovered: true,
-            createdAt: new Date(),
-            lastUpdated: new Date(),
-          });
-          await logProgress(`  ✨ Discovered new casino: ${casino.name}`);
-        }
-      }
+app.use(authenticate);
 
-      if (missing.length > 0) {
-        missingCasinos.push({ state: stateName, casinos: missing });
-        await logProgress(`  📋 Missing casinos in ${stateName}: ${missing.length}`);
-      } else {
-        await logProgress(`  ✅ No missing casinos in ${stateName}`);
-      }
+// ==================== API ENDPOINTS ====================
 
-      // Research offers for all casinos in this state
-      const allCasinos = await Casino.find({ stateAbbreviation: abbrev });
-      await logProgress(`  🔍 Researching offers for ${allCasinos.length} casinos in ${stateName}...`);
+const BULK_WRITE_BATCH_SIZE = 500;
 
-      for (const casino of allCasinos) {
-        totalCasinosProcessed++;
-        await ResearchRun.findByIdAndUpdate(runId, { 
-          currentCasino: casino.name,
-          casinosProcessed: totalCasinosProcessed
-        });
-        await logProgress(`    🎰 Processing: ${casino.name}...`);
-        
-        const discoveredOffers = await researchCasinoOffers(casino.name, stateName);
-        await logProgress(`      Found ${discoveredOffers.length} offers`);
-        
-        const currentOffers = await Offer.find({ 
-          casinoName: casino.name, 
-          stateAbbreviation: abbrev, 
-          source: 'internal-api' 
-        });
+async function bulkWriteInBatches(Model, operations) {
+  for (let i = 0; i < operations.length; i += BULK_WRITE_BATCH_SIZE) {
+    await Model.bulkWrite(operations.slice(i, i + BULK_WRITE_BATCH_SIZE), { ordered: false });
+  }
+}
 
-        // Find new offers
-        const newOffers = discoveredOffers.filter(dOffer => {
-          const exists = currentOffers.some(cOffer => {
-            const nameMatch = cOffer.offerName?.toLowerCase().includes(dOffer.offerName?.toLowerCase()) ||
-                             dOffer.offerName?.toLowerCase().includes(cOffer.offerName?.toLowerCase());
-            const typeMatch = cOffer.offerType?.toLowerCase() === dOffer.offerType?.toLowerCase();
-            const amountMatch = Math.abs((cOffer.expectedBonus || 0) - (dOffer.expectedBonus || 0)) < 50;
-            
-            return nameMatch || (typeMatch && amountMatch);
-          });
-          return !exists;
-        });
+// Reconciles one baseline source with Offers and Casinos (see
+// lib/baselineSync.js) and, unless previewing, applies the plan with bulk
+// writes. Offer changes are recorded as versions tagged with the source.
+async function syncBaselineSource(source, stateNames, { preview = false } = {}) {
+  const loaded = await loadBaselineRecords(source);
+  const records = loaded.records.map(record => ({
+    ...record,
+    state: record.state || stateNames.get(record.stateAbbreviation) || record.stateAbbreviation,
+  }));
+  const states = [...new Set(records.map(record => record.stateAbbreviation))];
+
+  // Offers and casinos from before sources were tracked came from the Xano feed
+  const isOwned = (doc) => (doc.baselineSourceId ? source._id.equals(doc.baselineSourceId) : source.type === 'xano');
+  const ownedOrInStates = {
+    $or: [
+      { stateAbbreviation: { $in: states } },
+      { baselineSourceId: source._id },
+      ...(source.type === 'xano' ? [{ baselineSourceId: null }] : []),
+    ],
+  };
+  const [offers, casinos] = await Promise.all([
+    Offer.find({ source: 'internal-api', ...ownedOrInStates }).select('-versions -valueBreakdown').lean(),
+    Casino.find(ownedOrInStates).lean(),
+  ]);
+  const plan = planBaselineSync({ records, offers, casinos, isOwned });
+  const result = {
+    total: loaded.total,
+    skipped: loaded.skipped,
+    ...describeBaselineSync(plan, { limit: preview ? 200 : 0 }),
+  };
+  if (preview) return result;
+
+  const now = new Date();
+  const baselineSource = { baselineSourceId: source._id, baselineSourceName: source.name };
+  const version = (changes, doc) => ({ baselineSourceId: source._id, observedAt: now, changes, snapshot: snapshotOffer(doc) });
+  const changedFields = (changes) => Object.fromEntries(changes.map(({ field, to }) => [field, to]));
+
+  await bulkWriteInBatches(Casino, [
+    ...plan.casinos.add.map(casino => ({
+      insertOne: { document: { ...casino, ...baselineSource, createdAt: now, lastUpdated: now } },
+    })),
+    ...plan.casinos.update.map(({ existing, changes }) => ({
+      updateOne: {
+        filter: { _id: existing._id },
+        update: { $set: { ...changedFields(changes), ...baselineSource, active: true, deactivatedAt: null, lastUpdated: now } },
+      },
+    })),
+    ...plan.casinos.unchanged.filter(casino => !isOwned(casino) || !casino.baselineSourceId).map(casino => ({
+      updateOne: { filter: { _id: casino._id }, update: { $set: baselineSource } },
+    })),
+    ...plan.casinos.deactivate.map(casino => ({
+      updateOne: { filter: { _id: casino._id }, update: { $set: { active: false, deactivatedAt: now, lastUpdated: now } } },
+    })),
+  ]);
+
+  const casinoIds = new Map((await Casino.find({ stateAbbreviation: { $in: states } }).select('name stateAbbreviation').lean())
+    .map(casino => [casinoSyncKey(casino), casino._id]));
+  const casinoIdFor = (offer) => casinoIds.get(casinoSyncKey({ name: offer.casinoName, stateAbbreviation: offer.stateAbbreviation }));
+  const derivedFields = (offer) => ({
+    bonusAmount: offer.expectedBonus || 0,
+    bonusType: (offer.offerType || 'unknown').toLowerCase(),
+    ...evaluateOffer(offer),
+  });
 
-        if (newOffers.length > 0) {
-          totalNewOffers += newOffers.length;
-          totalOffersProcessed += newOffers.length;
-          await logProgress(`    💰 Found ${newOffers.length} new offers for ${casino.name}`);
+  await bulkWriteInBatches(Offer, [
+    ...plan.offers.add.map(record => {
+      const offer = {
+        ...record,
+        casinoId: casinoIdFor(record),
+        ...derivedFields(record),
+        source: 'internal-api',
+        ...baselineSource,
+        verified: true,
+        reviewStatus: 'approved',
+        discoveredDate: now,
+      };
+      return { insertOne: { document: { ...offer, versions: [version([], offer)] } } };
+    }),
+    ...plan.offers.update.map(({ existing, changes }) => {
+      const offer = { ...existing, ...changedFields(changes), active: true };
+      return {
+        updateOne: {
+          filter: { _id: existing._id },
+          update: {
+            $set: {
+              ...changedFields(changes),
+              ...derivedFields(offer),
+              ...baselineSource,
+              casinoId: casinoIdFor(offer) ?? existing.casinoId,
+              active: true,
+              deactivatedAt: null,
+              verified: existing.reviewStatus === 'approved',
+            },
+            $push: { versions: version(changes, offer) },
+          },
+        },
+      };
+    }),
+    ...plan.offers.unchanged.filter(offer => !isOwned(offer) || !offer.baselineSourceId || !offer.casinoId).map(offer => ({
+      updateOne: { filter: { _id: offer._id }, update: { $set: { ...baselineSource, casinoId: casinoIdFor(offer) ?? offer.casinoId } } },
+    })),
+    ...plan.offers.deactivate.map(offer => ({
+      updateOne: {
+        filter: { _id: offer._id },
+        update: {
+          $set: { active: false, deactivatedAt: now, verified: false },
+          $push: { versions: version([{ field: 'active', from: true, to: false }], offer) },
+        },
+      },
+    })),
+  ]);
 
-          // Store new offers
-          for (const offer of newOffers) {
-            await Offer.create({
-              casinoId: casino._id,
-              casinoName: casino.name,
-              state: stateName,
-              stateAbbreviation: abbrev,
-              offerName: offer.offerName,
-              offerType: offer.offerType,
-              expectedDeposit: offer.expectedDeposit || 0,
-              expectedBonus: offer.expectedBonus || 0,
-              bonusAmount: offer.expectedBonus || 0,
-              bonusType: offer.offerType?.toLowerCase() || 'unknown',
-              description: offer.description,
-              terms: offer.terms,
-              source: 'ai-research',
-              discoveredDate: new Date(),
-            });
-          }
+  return result;
+}
 
-          offerComparisons.push({
-            casinoName: casino.name,
-            state: stateName,
-            currentOffers: currentOffers.map(o => ({ 
-              name: o.offerName, 
-              type: o.offerType,
-              deposit: o.expectedDeposit,
-              bonus: o.expectedBonus 
-            })),
-            discoveredOffers: discoveredOffers.map(o => ({ 
-              name: o.offerName, 
-              type: o.offerType,
-              deposit: o.expectedDeposit,
-              bonus: o.expectedBonus 
-            })),
-            newOffers: newOffers.map(o => ({ 
-              name: o.offerName, 
-              type: o.offerType,
-              deposit: o.expectedDeposit,
-              bonus: o.expectedBonus,
-              description: o.description
-            })),
-          });
-        }
-        
-        await ResearchRun.findByIdAndUpdate(runId, { 
-          offersProcessed: totalOffersProcessed
-        });
+// Reconcile the internal baseline with every enabled source, or the ones
+// listed in `sources` (ids). A failing source is reported without stopping
+// the rest. With `?preview=true` nothing is written and the response lists
+// the planned adds, updates and deactivations.
+const initRequest = {
+  query: s.object({ preview: s.boolean({ default: false }) }),
+  body: s.object({
+    sources: s.array(objectId(), { optional: true, single: true }),
+  }),
+  message: 'Invalid init request',
+};
+
+app.post('/api/research/init', requireRole('admin'), validateRequest(initRequest), async (req, res) => {
+  const { preview } = req.query;
+  const sources = await BaselineSource.find(req.body.sources ? { _id: { $in: req.body.sources } } : { enabled: true }).sort({ name: 1 });
+  if (sources.length === 0) {
+    throw req.body.sources ? notFound('No baseline sources found with those ids') : badRequest('No enabled baseline sources configured');
+  }
+  const stateNames = new Map((await Jurisdiction.find()).map(j => [j.abbreviation, j.name]));
+
+  const results = [];
+  for (const source of sources) {
+    try {
+      const synced = await syncBaselineSource(source, stateNames, { preview });
+      const imported = synced.offers.added + synced.offers.updated + synced.offers.unchanged;
+      const casinos = synced.casinos.added + synced.casinos.updated + synced.casinos.unchanged;
+      console.log(`${preview ? 'Previewed' : 'Synced'} ${source.name}: ${imported} offers ` +
+        `(+${synced.offers.added} ~${synced.offers.updated} -${synced.offers.deactivated}), ${synced.skipped.length} skipped`);
+      results.push({
+        sourceId: source._id,
+        name: source.name,
+        status: 'completed',
+        ...synced,
+        offersImported: imported,
+        casinosImported: casinos,
+        skipped: synced.skipped.slice(0, 20),
+        skippedCount: synced.skipped.length,
+      });
+      if (!preview) {
+        source.lastImport = {
+          at: new Date(),
+          status: 'completed',
+          total: synced.total,
+          offers: imported,
+          casinos,
+          skipped: synced.skipped.length,
+          added: synced.offers.added,
+          updated: synced.offers.updated,
+          deactivated: synced.offers.deactivated,
+          by: actorName(req.user),
+        };
       }
-      
-      await logProgress(`  ✅ Completed ${stateName} - Processed ${allCasinos.length} casinos`);
+    } catch (error) {
+      console.error(`Init error (${source.name}):`, error);
+      if (!preview) source.lastImport = { at: new Date(), status: 'failed', error: error.message, by: actorName(req.user) };
+      results.push({ sourceId: source._id, name: source.name, status: 'failed', error: error.message });
+    }
+    if (!preview) {
+      await source.save();
+      await auditAction(req, {
+        entityType: 'baseline-source',
+        entityId: source._id,
+        action: 'sync',
+        to: source.lastImport.status,
+        details: { name: source.name, added: source.lastImport.added, updated: source.lastImport.updated, deactivated: source.lastImport.deactivated },
+      });
     }
+  }
 
-    // Update research run
-    await logProgress('\n✅ Research completed successfully');
-    await logProgress(`   Total missing casinos: ${missingCasinos.reduce((sum, s) => sum + s.casinos.length, 0)}`);
-    await logProgress(`   Total new offers: ${totalNewOffers}`);
-    
-    await ResearchRun.findByIdAndUpdate(runId, {
-      status: 'completed',
-      completedAt: new Date(),
-      currentState: null,
-      currentCasino: null,
-      missingCasinos,
-      offerComparisons,
-      summary: {
-        totalMissingCasinos: missingCasinos.reduce((sum, s) => sum + s.casinos.length, 0),
-        totalNewOffers,
-        statesProcessed: Object.values(states),
-      },
-    });
+  const offersImported = results.reduce((sum, r) => sum + (r.offersImported || 0), 0);
+  const casinosImported = results.reduce((sum, r) => sum + (r.casinosImported || 0), 0);
+  const failed = results.filter(r => r.status === 'failed');
+  if (failed.length === results.length) {
+    throw upstreamError('Every baseline source failed to load', failed.map(r => `${r.name}: ${r.error}`));
+  }
+  res.json({
+    success: failed.length === 0,
+    preview,
+    offersImported,
+    casinos: casinosImported,
+    sources: results,
+    message: `${preview ? 'Would import' : 'Imported'} ${offersImported} offers from ${casinosImported} casinos` +
+      (failed.length ? ` (${failed.length} of ${results.length} sources failed: ${failed.map(r => r.name).join(', ')})` : ''),
+  });
+});
 
-  } catch (error) {
-    console.error('❌ Research error:', error);
-    await logProgress(`❌ Research failed: ${error.message}`);
+const researchScopeSchema = s.object({
+  states: s.array(s.string({ min: 1 }), { optional: true }),
+  casinoIds: s.array(objectId(), { optional: true }),
+  phases: s.array(s.enum(RESEARCH_PHASES), { optional: true, min: 1 }),
+  dryRun: s.boolean({ default: false }),
+  budgetUsd: s.number({ min: 0.01, optional: true }),
+  forceRefresh: s.boolean({ default: false }),
+  forceRefreshCasinoIds: s.array(objectId(), { optional: true }),
+});
+
+// Upper-cases states and checks they exist, and fills in the states and
+// phases implied by `casinoIds`. Returns { scope } or { error }.
+async function resolveResearchScope(scope) {
+  if (scope.states?.length) {
+    scope.states = scope.states.map(state => state.toUpperCase());
+    const known = await Jurisdiction.find({ abbreviation: { $in: scope.states } }).distinct('abbreviation');
+    const unknown = scope.states.filter(state => !known.includes(state));
+    if (unknown.length > 0) {
+      return { error: `Unknown jurisdiction(s): ${unknown.join(', ')}` };
+    }
+  }
+
+  if (scope.casinoIds?.length) {
+    const casinos = await Casino.find({ _id: { $in: scope.casinoIds } });
+    if (casinos.length !== scope.casinoIds.length) {
+      return { error: 'One or more casinoIds do not exist' };
+    }
+    // Re-checking specific casinos only needs their states and, unless
+    // asked otherwise, only the offers phase
+    if (!scope.states?.length) scope.states = [...new Set(casinos.map(c => c.stateAbbreviation))];
+    if (!scope.phases?.length) scope.phases = ['offers'];
+  }
+
+  if (scope.forceRefreshCasinoIds?.length) {
+    const found = await Casino.countDocuments({ _id: { $in: scope.forceRefreshCasinoIds } });
+    if (found !== scope.forceRefreshCasinoIds.length) {
+      return { error: 'One or more forceRefreshCasinoIds do not exist' };
+    }
+  }
+  return { scope };
+}
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// Takes the named lock if it is free or its holder's lease ran out. The
+// conditional upsert hits the unique _id when someone else holds it.
+async function acquireLock(name, ttlMs) {
+  const now = new Date();
+  try {
+    await Lock.findOneAndUpdate(
+      { _id: name, expiresAt: { $lt: now } },
+      { $set: { owner: INSTANCE_ID, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+async function releaseLock(name) {
+  await Lock.deleteOne({ _id: name, owner: INSTANCE_ID });
+}
+
+// Starting a run holds this lock, so the scheduler's "is a run already in
+// progress?" check and the create that follows can't interleave with
+// another start
+const RUN_START_LOCK = 'research-run-start';
+const RUN_START_LOCK_TTL_MS = 30000;
+
+class RunStartBusyError extends Error {
+  constructor() {
+    super('Another research run is being started; try again in a moment');
+    this.name = 'RunStartBusyError';
+  }
+}
+
+// Creates an in-progress run and starts it in the background. With
+// `skipIfActive`, returns { skipped } instead when a run is in progress.
+// A scope without a budget gets RESEARCH_BUDGET_USD, if that is set.
+async function startResearchRun(scope, { scheduleId, startedBy, skipIfActive = false } = {}) {
+  if (!await acquireLock(RUN_START_LOCK, RUN_START_LOCK_TTL_MS)) throw new RunStartBusyError();
+  try {
+    if (skipIfActive) {
+      const active = await ResearchRun.findOne({ status: { $in: ['pending', 'in-progress'] } }).select('_id');
+      if (active) return { skipped: `Run ${active._id} is still in progress` };
+    }
+    const run = await ResearchRun.create({
+      status: 'in-progress',
+      scope: { ...scope, budgetUsd: scope.budgetUsd ?? RESEARCH_BUDGET_USD ?? undefined },
+      scheduleId,
+      startedBy,
+      heartbeatAt: new Date(),
+    });
+    // Run async - don't wait for completion
+    performResearch(run._id).catch(console.error);
+    return { run };
+  } finally {
+    await releaseLock(RUN_START_LOCK);
+  }
+}
+
+// Trigger a research run. With no body this covers every enabled state and
+// casino; `states`, `casinoIds`, `phases` and `dryRun` narrow it down,
+// `budgetUsd` pauses the run once its estimated LLM cost reaches it, and
+// `forceRefresh` / `forceRefreshCasinoIds` bypass the LLM cache.
+app.post('/api/research/run', requireRole('admin'), validateRequest({ body: researchScopeSchema, message: 'Invalid research scope' }), async (req, res) => {
+  const { scope, error } = await resolveResearchScope(req.body);
+  if (error) throw badRequest(error);
+
+  const { run } = await startResearchRun(scope, { startedBy: { userId: req.user.id, name: actorName(req.user) } });
+  await auditAction(req, { entityType: 'run', entityId: run._id, action: 'start', details: { scope: run.scope } });
+  res.json({ runId: run._id, status: 'in-progress', scope: run.scope });
+});
+
+// ==================== SCHEDULER ====================
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 30000;
+
+// Starts a run for every enabled schedule whose slot has come. Each slot is
+// claimed by moving nextRunAt on with a conditional update, so when several
+// instances see the same due schedule only one of them starts it. Slots
+// missed while no server was running fire once on the next tick.
+async function runDueSchedules() {
+  const now = new Date();
+  const due = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } });
+
+  for (const schedule of due) {
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt: nextCronTime(schedule.cron, now) } }
+    );
+    if (!claimed) continue;
+
+    const record = (lastResult, lastMessage, lastRunId) => Schedule.updateOne({ _id: schedule._id }, {
+      $set: { lastRunAt: now, lastResult, lastMessage, ...(lastRunId && { lastRunId }) },
+    });
+    try {
+      const { scope, error } = await resolveResearchScope({
+        states: schedule.scope?.states?.length ? [...schedule.scope.states] : undefined,
+        phases: schedule.scope?.phases?.length ? [...schedule.scope.phases] : undefined,
+        dryRun: schedule.scope?.dryRun ?? false,
+        budgetUsd: schedule.scope?.budgetUsd || undefined,
+        forceRefresh: schedule.scope?.forceRefresh ?? false,
+      });
+      if (error) {
+        await record('failed', error);
+        continue;
+      }
+      const { run, skipped } = await startResearchRun(scope, { scheduleId: schedule._id, skipIfActive: true });
+      if (skipped) {
+        await record('skipped', skipped);
+        console.log(`⏰ Schedule "${schedule.name}" skipped: ${skipped}`);
+      } else {
+        await record('started', `Started run ${run._id}`, run._id);
+        console.log(`⏰ Schedule "${schedule.name}" started run ${run._id}`);
+      }
+    } catch (error) {
+      console.error(`Schedule "${schedule.name}" error:`, error);
+      await record(error instanceof RunStartBusyError ? 'skipped' : 'failed', error.message);
+    }
+  }
+}
+
+function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  let ticking = false;
+  setInterval(async () => {
+    // A slow tick (e.g. a busy database) must not overlap the next one
+    if (ticking) return;
+    ticking = true;
+    try {
+      await runDueSchedules();
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      ticking = false;
+    }
+  }, SCHEDULER_INTERVAL_MS).unref();
+  console.log(`⏰ Scheduler checking every ${SCHEDULER_INTERVAL_MS / 1000}s`);
+}
+
+// ==================== WEBHOOK DELIVERY ====================
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_OPTIONS = {
+  baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+  maxDelayMs: Number(process.env.WEBHOOK_RETRY_MAX_MS) || 3600000,
+};
+const WEBHOOK_DISPATCH_INTERVAL_MS = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 15000;
+const WEBHOOK_CONCURRENCY = 4;
+
+// Queues one delivery per item for every enabled subscription to `event`
+// and starts sending them. Failures are logged rather than thrown so a
+// broken webhook setup never fails a research run.
+async function emitWebhookEvents(event, items, { webhookIds } = {}) {
+  try {
+    if (items.length === 0) return [];
+    const query = webhookIds ? { _id: { $in: webhookIds } } : { enabled: true, events: event };
+    const webhooks = await Webhook.find(query).select('_id');
+    if (webhooks.length === 0) return [];
+
+    const occurredAt = new Date().toISOString();
+    const deliveries = await WebhookDelivery.insertMany(webhooks.flatMap(webhook => items.map(data => ({
+      webhookId: webhook._id,
+      event,
+      payload: { event, occurredAt, data },
+      nextAttemptAt: new Date(),
+    }))));
+    runPool(deliveries, WEBHOOK_CONCURRENCY, delivery => attemptWebhookDelivery(delivery._id))
+      .catch(error => console.error('Webhook delivery error:', error));
+    return deliveries;
+  } catch (error) {
+    console.error(`Webhook ${event} error:`, error);
+    return [];
+  }
+}
+
+const emitWebhookEvent = (event, data, options) => emitWebhookEvents(event, [data], options);
+
+// Sends a due delivery once. The delivery is claimed by pushing
+// nextAttemptAt past the request timeout, so the dispatcher (here or in
+// another instance) won't send it concurrently; if this process dies
+// mid-request the claim lapses and it is retried. Failed attempts are
+// rescheduled with backoff until WEBHOOK_MAX_ATTEMPTS.
+async function attemptWebhookDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS * 2) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId);
+  const attempt = { at: now };
+  // Disabled and deleted subscriptions fail their pending deliveries outright
+  const unavailable = !webhook || (!webhook.enabled && delivery.event !== WEBHOOK_TEST_EVENT);
+  if (unavailable) {
+    attempt.error = webhook ? 'Subscription disabled' : 'Subscription deleted';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: webhookHeaders({ secret: webhook.secret, event: delivery.event, deliveryId: delivery._id, body }),
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformResponse: data => data,
+      });
+      attempt.statusCode = response.status;
+      attempt.response = typeof response.data === 'string' ? response.data.slice(0, 500) : undefined;
+      if (response.status < 200 || response.status >= 300) attempt.error = `HTTP ${response.status}`;
+    } catch (error) {
+      attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+    attempt.durationMs = Date.now() - started;
+  }
+
+  const attemptCount = delivery.attemptCount + 1;
+  const status = !attempt.error ? 'delivered'
+    : unavailable || attemptCount >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+  const updated = await WebhookDelivery.findByIdAndUpdate(delivery._id, {
+    $push: { attempts: attempt },
+    $set: {
+      attemptCount,
+      status,
+      nextAttemptAt: status === 'pending' ? new Date(Date.now() + webhookRetryDelayMs(attemptCount, WEBHOOK_RETRY_OPTIONS)) : null,
+      ...(status === 'delivered' && { deliveredAt: new Date() }),
+    },
+  }, { new: true });
+  if (webhook) {
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { lastDeliveryAt: now, lastDeliveryStatus: status } });
+  }
+  if (attempt.error) {
+    console.log(`🪝 ${delivery.event} to ${webhook?.url ?? delivery.webhookId} failed (attempt ${attemptCount}): ${attempt.error}` +
+      (status === 'pending' ? ', will retry' : ''));
+  }
+  return updated;
+}
+
+// Picks up retries that are due, and deliveries whose sender died
+function startWebhookDispatcher() {
+  let ticking = false;
+  setInterval(async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(100)
+        .select('_id');
+      await runPool(due, WEBHOOK_CONCURRENCY, delivery => attemptWebhookDelivery(delivery._id));
+    } catch (error) {
+      console.error('Webhook dispatcher error:', error);
+    } finally {
+      ticking = false;
+    }
+  }, WEBHOOK_DISPATCH_INTERVAL_MS).unref();
+}
+
+// Payload shapes shared by the offer events
+const offerWebhookData = (offer, runId) => ({
+  offerId: offer._id,
+  casinoName: offer.casinoName,
+  state: offer.state,
+  stateAbbreviation: offer.stateAbbreviation,
+  offerName: offer.offerName,
+  offerType: offer.offerType,
+  expectedDeposit: offer.expectedDeposit,
+  expectedBonus: offer.expectedBonus,
+  valueScore: offer.valueScore,
+  status: offer.status,
+  reviewStatus: offer.reviewStatus,
+  runId,
+});
+
+const runWebhookData = ({ _id, ...run }) => ({
+  runId: _id,
+  status: run.status,
+  scope: run.scope,
+  scheduleId: run.scheduleId,
+  startedAt: run.startedAt,
+  completedAt: run.completedAt,
+  failureReason: run.failureReason,
+  summary: run.summary,
+});
+
+const RUN_HEARTBEAT_INTERVAL_MS = Number(process.env.RUN_HEARTBEAT_INTERVAL_MS) || 15000;
+const RUN_HEARTBEAT_TIMEOUT_MS = Number(process.env.RUN_HEARTBEAT_TIMEOUT_MS) || 60000;
+// What to do with runs left in-progress by a crash: 'fail' or 'resume'
+const RUN_RECOVERY_MODE = process.env.RUN_RECOVERY_MODE === 'resume' ? 'resume' : 'fail';
+
+// Finds in-progress runs whose heartbeat has stopped and either fails them
+// or resumes them from their checkpoint. Each run is claimed with a
+// conditional update so only one server instance acts on it.
+async function recoverOrphanedRuns() {
+  const staleBefore = new Date(Date.now() - RUN_HEARTBEAT_TIMEOUT_MS);
+  const staleQuery = {
+    status: 'in-progress',
+    $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }],
+  };
+  const orphans = await ResearchRun.find(staleQuery).select('_id controlRequest heartbeatAt');
+
+  for (const orphan of orphans) {
+    const lastSeen = orphan.heartbeatAt ? orphan.heartbeatAt.toISOString() : 'never';
+    const entry = (message) => `[${new Date().toISOString()}] ${message}`;
+
+    // A pause or cancel that was pending when the process died is honoured
+    if (orphan.controlRequest) {
+      const status = orphan.controlRequest === 'cancel' ? 'cancelled' : 'paused';
+      await ResearchRun.findOneAndUpdate({ _id: orphan._id, ...staleQuery }, {
+        status,
+        controlRequest: null,
+        currentCasino: null,
+        ...(status === 'paused' ? { pausedAt: new Date() } : { completedAt: new Date(), currentState: null }),
+        $push: { progressLog: entry(`⚠️ Server restarted with ${orphan.controlRequest} pending - run ${status}`) },
+      });
+      console.log(`♻️ Orphaned run ${orphan._id} marked ${status}`);
+      continue;
+    }
+
+    if (RUN_RECOVERY_MODE === 'resume') {
+      const claimed = await ResearchRun.findOneAndUpdate({ _id: orphan._id, ...staleQuery }, {
+        heartbeatAt: new Date(),
+        resumedAt: new Date(),
+        $push: { progressLog: entry(`♻️ Run interrupted (last heartbeat ${lastSeen}), resuming from checkpoint`) },
+      });
+      if (!claimed) continue;
+      console.log(`♻️ Resuming orphaned run ${orphan._id}`);
+      performResearch(orphan._id, { resume: true }).catch(console.error);
+    } else {
+      const reason = `Interrupted: the server stopped while this run was in progress (last heartbeat ${lastSeen})`;
+      const failed = await ResearchRun.findOneAndUpdate({ _id: orphan._id, ...staleQuery }, {
+        status: 'failed',
+        failureReason: reason,
+        completedAt: new Date(),
+        currentState: null,
+        currentCasino: null,
+        $push: { progressLog: entry(`❌ ${reason}`) },
+      }, { new: true });
+      if (!failed) continue;
+      console.log(`♻️ Orphaned run ${orphan._id} marked failed`);
+      await emitWebhookEvent('run.failed', runWebhookData(failed.toObject()));
+    }
+  }
+}
+
+// Applies one run's view of a casino's offers. A discovery matching a
+// research offer from an earlier run updates it and records a version if
+// any field changed; one matching an internal offer is only recorded as an
+// observation, since the baseline source owns that offer's fields, review
+// and lifecycle. The rest are created. Research offers the run didn't see
+// count a miss and move towards stale/expired.
+async function recordOfferObservations({ runId, casino, stateName, abbrev, discoveredOffers, matches }) {
+  const observedAt = new Date();
+  const tracked = await Offer.find({ casinoName: casino.name, stateAbbreviation: abbrev });
+  const seen = new Set();
+  const result = { created: [], changed: [], missed: [], offerIds: new Map(), audit: [] };
+
+  for (const discovered of discoveredOffers) {
+    const internalMatch = matches.get(discovered);
+    let offer;
+    if (internalMatch.verdict === 'existing') {
+      offer = tracked.find(o => o._id.equals(internalMatch.matchedOffer.id));
+    } else {
+      const candidates = tracked.filter(o => o.source === 'ai-research' && !seen.has(o.id));
+      const versionMatch = matchOffer(discovered, candidates, OFFER_VERSION_MATCH_OPTIONS);
+      if (versionMatch.verdict === 'existing') offer = candidates.find(o => o._id.equals(versionMatch.matchedOffer.id));
+    }
+
+    if (!offer) {
+      offer = new Offer({
+        casinoId: casino._id,
+        casinoName: casino.name,
+        state: stateName,
+        stateAbbreviation: abbrev,
+        offerName: discovered.offerName,
+        offerType: discovered.offerType,
+        expectedDeposit: discovered.expectedDeposit || 0,
+        expectedBonus: discovered.expectedBonus || 0,
+        bonusAmount: discovered.expectedBonus || 0,
+        bonusType: discovered.offerType?.toLowerCase() || 'unknown',
+        description: discovered.description,
+        terms: discovered.terms,
+        ...evaluateOffer(discovered),
+        source: 'ai-research',
+        discoveredDate: observedAt,
+        lastSeenAt: observedAt,
+        lastSeenRunId: runId,
+      });
+      offer.versions.push({ runId, observedAt, changes: [], snapshot: snapshotOffer(offer) });
+      await offer.save();
+      seen.add(offer.id);
+      result.created.push(offer);
+      result.offerIds.set(discovered, offer._id);
+      continue;
+    }
+
+    seen.add(offer.id);
+    result.offerIds.set(discovered, offer._id);
+    if (offer.source !== 'ai-research') {
+      offer.versions.push({
+        runId,
+        observedAt,
+        changes: [],
+        observedOnly: true,
+        reported: diffOfferFields(offer, discovered),
+        snapshot: snapshotOffer(offer),
+      });
+      offer.lastSeenAt = observedAt;
+      offer.lastSeenRunId = runId;
+      await offer.save();
+      continue;
+    }
+
+    const changes = diffOfferFields(offer, discovered);
+    if (changes.length > 0) {
+      for (const { field, to } of changes) offer[field] = to;
+      offer.bonusAmount = offer.expectedBonus;
+      offer.bonusType = offer.offerType?.toLowerCase() || 'unknown';
+      offer.set(evaluateOffer(offer));
+      // A decided offer that changed needs another look
+      if (offer.reviewStatus !== 'pending') {
+        result.audit.push(setReviewStatus(offer, 'pending', {
+          actor: 'research-run',
+          runId,
+          details: { changes },
+        }));
+      }
+      result.changed.push(offer);
+    }
+    if (offer.status !== 'active') changes.push({ field: 'status', from: offer.status, to: 'active' });
+    if (changes.length > 0) {
+      offer.status = 'active';
+      offer.versions.push({ runId, observedAt, changes, snapshot: snapshotOffer(offer) });
+    }
+    offer.missedRuns = 0;
+    offer.lastSeenAt = observedAt;
+    offer.lastSeenRunId = runId;
+    await offer.save();
+  }
+
+  for (const offer of tracked) {
+    if (seen.has(offer.id) || offer.source !== 'ai-research') continue;
+    offer.missedRuns += 1;
+    const status = statusForMisses(offer.missedRuns, OFFER_STALENESS);
+    if (status !== offer.status) {
+      offer.versions.push({ runId, observedAt, changes: [{ field: 'status', from: offer.status, to: status }], snapshot: snapshotOffer(offer) });
+      offer.status = status;
+    }
+    await offer.save();
+    result.missed.push(offer);
+  }
+
+  if (result.audit.length > 0) await AuditLog.insertMany(result.audit);
+  return result;
+}
+
+// Moves an offer's review status and returns the audit entry for it; the
+// caller saves both. Throws ReviewTransitionError for disallowed moves.
+function setReviewStatus(offer, to, { actor, notes, runId, details } = {}) {
+  const from = offer.reviewStatus;
+  if (!canTransition(from, to)) throw new ReviewTransitionError(from, to);
+  const at = new Date();
+  offer.reviewStatus = to;
+  offer.verified = to === 'approved' && offer.active !== false;
+  offer.reviewedBy = actor;
+  offer.reviewedAt = at;
+  if (notes !== undefined) offer.reviewNotes = notes;
+  return { entityType: 'offer', entityId: offer._id, action: 'review', from, to, notes, actor, runId, details, at };
+}
+
+// Offers stored before the review workflow take their status from `verified`
+async function backfillReviewStatus() {
+  const { modifiedCount } = await Offer.updateMany(
+    { reviewStatus: { $exists: false } },
+    [{ $set: { reviewStatus: { $cond: ['$verified', 'approved', 'pending'] } } }]
+  );
+  if (modifiedCount > 0) console.log(`🗂️ Set review status on ${modifiedCount} existing offers`);
+}
+
+// Analysis jobs run in the process that queued them; one that hasn't
+// progressed within the heartbeat timeout belonged to a process that's gone
+async function recoverAnalysisJobs() {
+  const { modifiedCount } = await ResearchRun.updateMany(
+    {
+      'analysisJob.status': { $in: ['queued', 'in-progress'] },
+      'analysisJob.updatedAt': { $lt: new Date(Date.now() - RUN_HEARTBEAT_TIMEOUT_MS) },
+    },
+    { $set: { 'analysisJob.status': 'failed', 'analysisJob.error': 'Interrupted by a server restart', 'analysisJob.completedAt': new Date() } }
+  );
+  if (modifiedCount > 0) console.log(`♻️ Marked ${modifiedCount} interrupted analysis job(s) failed`);
+}
+
+// Analyzes the new offers of every comparison in a run, a few casinos at a
+// time. Comparisons whose offers are all analyzed already are skipped unless
+// `force` is set, as are dry-run comparisons with no stored offers.
+async function performAnalysis(runId) {
+  const touch = (fields) => ResearchRun.findByIdAndUpdate(runId, {
+    ...fields,
+    $set: { ...fields.$set, 'analysisJob.updatedAt': new Date() },
+  });
+  const log = (message) => ResearchRun.findByIdAndUpdate(runId, {
+    $push: { progressLog: `[${new Date().toISOString()}] ${message}` },
+  });
+
+  try {
+    const run = await ResearchRun.findById(runId).select('offerComparisons analysisJob');
+    const comparisons = run.offerComparisons.filter(comparison => comparison.newOffers.length > 0);
+    const offerIds = comparisons.flatMap(comparison => comparison.newOffers.map(o => o.offerId).filter(Boolean));
+    const analyzed = new Set(run.analysisJob.force ? [] : (await Offer.find({
+      _id: { $in: offerIds },
+      'analysis.analyzedAt': { $exists: true },
+    }).distinct('_id')).map(String));
+
+    await touch({ $set: { 'analysisJob.status': 'in-progress' } });
+    await log(`🧠 Analyzing new offers for ${comparisons.length} casinos`);
+
+    await runPool(comparisons, RESEARCH_CONCURRENCY, async (comparison) => {
+      const stored = comparison.newOffers.filter(o => o.offerId);
+      if (stored.length === 0 || stored.every(o => analyzed.has(String(o.offerId)))) {
+        await touch({ $inc: { 'analysisJob.skipped': 1 } });
+        return;
+      }
+      try {
+        await analyzeNewOffers({
+          casinoName: comparison.casinoName,
+          state: comparison.state,
+          currentOffers: comparison.currentOffers,
+          newOffers: comparison.newOffers,
+          runId,
+        });
+        await touch({ $inc: { 'analysisJob.processed': 1 } });
+      } catch (error) {
+        await touch({ $inc: { 'analysisJob.failed': 1 } });
+        await log(`  ❌ Analysis failed for ${comparison.casinoName}: ${error.message}`);
+      }
+    });
+
+    const finished = await touch({ $set: { 'analysisJob.status': 'completed', 'analysisJob.completedAt': new Date() } });
+    await log(`🧠 Analysis complete${finished?.analysisJob?.failed ? ` (${finished.analysisJob.failed} failed)` : ''}`);
+  } catch (error) {
+    console.error('Analysis job error:', error);
+    await touch({ $set: { 'analysisJob.status': 'failed', 'analysisJob.error': error.message, 'analysisJob.completedAt': new Date() } });
+  }
+}
+
+const formatUsd = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+// Whether a run with this budget has spent it; no budget never runs out
+const budgetSpent = (budgetUsd, cost) => Boolean(budgetUsd) && (cost || 0) >= budgetUsd;
+
+// Casinos discovered during a dry run have no _id, so checkpoints use a
+// state + name key that works for both
+const casinoCheckpointKey = (abbrev, name) => `${abbrev}:${name}`;
+
+async function performResearch(runId, { resume = false } = {}) {
+  const progressLog = [];
+  const logProgress = async (message) => {
+    console.log(message);
+    progressLog.push(`[${new Date().toISOString()}] ${message}`);
+    await ResearchRun.findByIdAndUpdate(runId, { 
+      $push: { progressLog: `[${new Date().toISOString()}] ${message}` }
+    });
+  };
+
+  const recordFailure = async (failure) => {
+    const entry = { ...failure, failedAt: new Date() };
+    await ResearchRun.findByIdAndUpdate(runId, { $push: { failures: entry } });
+  };
+
+  // Pause and cancel are requested through the database and honoured between
+  // casinos; casinos already in flight are allowed to finish. A spent budget
+  // stops the run the same way, so calls in flight can overshoot it a little.
+  await ResearchRun.findByIdAndUpdate(runId, { heartbeatAt: new Date() });
+  const heartbeat = setInterval(() => {
+    ResearchRun.updateOne({ _id: runId }, { heartbeatAt: new Date() })
+      .catch(error => console.error('Heartbeat error:', error.message));
+  }, RUN_HEARTBEAT_INTERVAL_MS);
+
+  let stopRequest = null;
+  const checkControl = async () => {
+    if (!stopRequest) {
+      const current = await ResearchRun.findById(runId).select('controlRequest scope.budgetUsd usage.cost');
+      stopRequest = current?.controlRequest || (current && budgetSpent(current.scope?.budgetUsd, current.usage?.cost) ? 'budget' : null);
+    }
+    return stopRequest;
+  };
+
+  const recordValidationFailure = (context) => async ({ purpose, attempt, errors }) => {
     await ResearchRun.findByIdAndUpdate(runId, {
+      $push: { validationFailures: { ...context, purpose, attempt, errors, at: new Date() } },
+    });
+    await logProgress(`      ⚠️ ${purpose} response for ${context.casinoName || context.state} failed validation (attempt ${attempt}), ${attempt > LLM_MAX_REPAIRS ? 'giving up' : 'asking for a repair'}`);
+  };
+
+  try {
+    const run = await ResearchRun.findById(runId);
+    const scope = run.scope || {};
+    const phases = scope.phases?.length ? scope.phases : RESEARCH_PHASES;
+    const dryRun = Boolean(scope.dryRun);
+
+    const jurisdictionQuery = scope.states?.length ? { abbreviation: { $in: scope.states } } : { enabled: true };
+    const jurisdictions = await Jurisdiction.find(jurisdictionQuery).sort({ name: 1 });
+    if (jurisdictions.length === 0) {
+      throw new Error('No enabled jurisdictions configured');
+    }
+
+    const discoveredStates = new Set(run.checkpoint?.discoveredStates || []);
+    const completedStates = new Set(run.checkpoint?.completedStates || []);
+    const completedCasinos = new Set(run.checkpoint?.completedCasinos || []);
+
+    if (resume) {
+      await logProgress(`▶️ Research resumed (${completedStates.size} states and ${completedCasinos.size} casinos already done)`);
+    } else {
+      await logProgress(`🚀 Research started for ${jurisdictions.map(j => j.abbreviation).join(', ')} (${phases.join(' + ')})`);
+    }
+    if (scope.casinoIds?.length) {
+      await logProgress(`   Limited to ${scope.casinoIds.length} selected casino(s)`);
+    }
+    if (dryRun) {
+      await logProgress('🧪 Dry run - no Casino or Offer changes will be saved');
+    }
+    const refreshCasinoIds = new Set((scope.forceRefreshCasinoIds || []).map(String));
+    if (scope.forceRefresh) {
+      await logProgress('🔄 Ignoring cached results - every call goes to the model');
+    } else if (refreshCasinoIds.size > 0) {
+      await logProgress(`🔄 Ignoring cached offers for ${refreshCasinoIds.size} selected casino(s)`);
+    }
+
+    for (const jurisdiction of jurisdictions) {
+      const { abbreviation: abbrev, name: stateName } = jurisdiction;
+      if (completedStates.has(abbrev)) continue;
+      if (await checkControl()) break;
+
+      await ResearchRun.findByIdAndUpdate(runId, { 
+        currentState: stateName,
+        currentCasino: null 
+      });
+      await logProgress(`\n📍 Researching ${stateName} (${abbrev})...`);
+
+      const dryRunCasinos = [];
+      let stateFailures = 0;
+      if (phases.includes('discovery') && discoveredStates.has(abbrev)) {
+        await logProgress(`  ⏭️ Casino discovery for ${stateName} already done`);
+        if (dryRun) {
+          // Dry-run discoveries were never saved, so rebuild them from the report
+          const missingEntry = run.missingCasinos.find(m => m.state === stateName);
+          for (const name of missingEntry?.casinos || []) {
+            dryRunCasinos.push({ name, state: stateName, stateAbbreviation: abbrev, discovered: true });
+          }
+        }
+      } else if (phases.includes('discovery')) {
+        // Discover casinos
+        await logProgress(`  🔍 Discovering casinos in ${stateName}...`);
+        let discoveredCasinos = [];
+        let discoveryCachedAt = null;
+        let discoverySucceeded = false;
+        try {
+          ({ casinos: discoveredCasinos, cachedAt: discoveryCachedAt } = await discoverCasinosByState(jurisdiction, {
+            forceRefresh: Boolean(scope.forceRefresh),
+            call: { runId, state: stateName },
+            onRetry: (reason, attempt) => logProgress(`  ⏳ Discovery for ${stateName} failed (${reason}), retrying (${attempt}/${LLM_MAX_RETRIES})`),
+            onValidationFailure: recordValidationFailure({ state: stateName }),
+          }));
+          await logProgress(discoveryCachedAt
+            ? `  📦 Found ${discoveredCasinos.length} casinos (cached from ${discoveryCachedAt.toISOString()})`
+            : `  ✅ Found ${discoveredCasinos.length} casinos in official records`);
+          discoverySucceeded = true;
+        } catch (error) {
+          stateFailures++;
+          await recordFailure({ phase: 'discovery', state: stateName, error: error.message, attempts: error.attempts || 1 });
+          await logProgress(`  ❌ Casino discovery failed for ${stateName}: ${error.message}`);
+        }
+
+        // A failed discovery reports nothing (it found no casinos, not zero
+        // missing ones) and is left out of the checkpoint so a resume retries it
+        if (discoverySucceeded) {
+          // Matched against every casino in the state (internal and previously
+          // discovered) plus ones found earlier in this run
+          const knownCasinos = await Casino.find({ stateAbbreviation: abbrev });
+          const candidates = [...knownCasinos, ...dryRunCasinos];
+
+          const missing = [];
+          const possibleDuplicates = [];
+          const resolvedNames = [];
+
+          // Store discovered casinos and find missing ones
+          for (const casino of discoveredCasinos) {
+            const resolution = resolveCasino(casino.name, candidates, CASINO_RESOLUTION_THRESHOLDS);
+
+            resolvedNames.push(resolution.status === 'match' ? resolution.casino.name : casino.name);
+            if (resolution.status === 'match') {
+              // Remember spellings that differ from the stored name so later runs match exactly
+              const existing = resolution.casino;
+              const knownLabels = [existing.name, ...(existing.aliases || [])].map(label => label.toLowerCase());
+              if (existing._id && !dryRun && !knownLabels.includes(casino.name.toLowerCase())) {
+                await Casino.updateOne({ _id: existing._id }, { $addToSet: { aliases: casino.name } });
+                existing.aliases = [...(existing.aliases || []), casino.name];
+                await logProgress(`  🔗 Matched "${casino.name}" to ${existing.name} (score ${resolution.score})`);
+              }
+            } else if (resolution.status === 'possible') {
+              possibleDuplicates.push({
+                state: stateName,
+                stateAbbreviation: abbrev,
+                discoveredName: casino.name,
+                candidateId: resolution.casino._id,
+                candidateName: resolution.casino.name,
+                matchedOn: resolution.matchedOn,
+                score: resolution.score,
+              });
+              await logProgress(`  🤔 "${casino.name}" may be ${resolution.casino.name} (score ${resolution.score}) - flagged for review`);
+            } else {
+              missing.push(casino.name);
+              const newCasino = {
+                ...casino,
+                state: stateName,
+                stateAbbreviation: abbrev,
+                discovered: true,
+                createdAt: new Date(),
+                lastUpdated: new Date(),
+              };
+              if (dryRun) {
+                // Kept in memory so the offers phase still covers it
+                dryRunCasinos.push(newCasino);
+                candidates.push(newCasino);
+              } else {
+                candidates.push(await Casino.create(newCasino));
+              }
+              await logProgress(`  ✨ Discovered new casino: ${casino.name}`);
+            }
+          }
+
+          if (missing.length > 0) {
+            await ResearchRun.findByIdAndUpdate(runId, {
+              $push: { missingCasinos: { state: stateName, casinos: missing } },
+            });
+            await logProgress(`  📋 Missing casinos in ${stateName}: ${missing.length}`);
+            if (!dryRun) {
+              await emitWebhookEvent('casino.missing', { runId, state: stateName, stateAbbreviation: abbrev, casinos: missing });
+            }
+          } else {
+            await logProgress(`  ✅ No missing casinos in ${stateName}`);
+          }
+          if (possibleDuplicates.length > 0) {
+            await ResearchRun.findByIdAndUpdate(runId, { $push: { possibleDuplicates: { $each: possibleDuplicates } } });
+            await logProgress(`  🤔 Possible duplicates in ${stateName} for review: ${possibleDuplicates.length}`);
+          }
+          await ResearchRun.findByIdAndUpdate(runId, {
+            $addToSet: { 'checkpoint.discoveredStates': abbrev },
+            $push: { discoveredCasinos: { state: stateName, stateAbbreviation: abbrev, casinos: resolvedNames, cachedAt: discoveryCachedAt } },
+            $inc: { [discoveryCachedAt ? 'cache.hits' : 'cache.misses']: 1 },
+            ...(resume && { $pull: { failures: { phase: 'discovery', state: stateName } } }),
+          });
+        }
+      }
+
+      if (phases.includes('offers')) {
+        // Research offers for all active casinos in this state, or only the
+        // requested ones (even inactive, since they were asked for by id)
+        const casinoQuery = { stateAbbreviation: abbrev };
+        if (scope.casinoIds?.length) casinoQuery._id = { $in: scope.casinoIds };
+        else casinoQuery.active = { $ne: false };
+        const allCasinos = [
+          ...await Casino.find(casinoQuery),
+          ...(scope.casinoIds?.length ? [] : dryRunCasinos),
+        ].filter(casino => !completedCasinos.has(casinoCheckpointKey(abbrev, casino.name)));
+        await logProgress(`  🔍 Researching offers for ${allCasinos.length} casinos in ${stateName} (concurrency ${RESEARCH_CONCURRENCY})...`);
+
+        await runPool(allCasinos, RESEARCH_CONCURRENCY, async (casino) => {
+          if (await checkControl()) return;
+          await ResearchRun.findByIdAndUpdate(runId, { currentCasino: casino.name });
+          await logProgress(`    🎰 Processing: ${casino.name}...`);
+
+          let discoveredOffers;
+          let cachedAt;
+          try {
+            ({ offers: discoveredOffers, cachedAt } = await researchCasinoOffers(casino.name, jurisdiction, {
+              forceRefresh: Boolean(scope.forceRefresh) || Boolean(casino._id && refreshCasinoIds.has(String(casino._id))),
+              call: { runId, state: stateName, casinoName: casino.name },
+              onRetry: (reason, attempt) => logProgress(`      ⏳ ${casino.name} failed (${reason}), retrying (${attempt}/${LLM_MAX_RETRIES})`),
+              onValidationFailure: recordValidationFailure({ state: stateName, casinoName: casino.name }),
+            }));
+          } catch (error) {
+            stateFailures++;
+            await recordFailure({
+              phase: 'offers',
+              state: stateName,
+              casinoName: casino.name,
+              error: error.message,
+              attempts: error.attempts || 1,
+            });
+            await logProgress(`      ❌ Failed to research ${casino.name} after ${error.attempts || 1} attempt(s): ${error.message}`);
+            return;
+          }
+
+          await logProgress(cachedAt
+            ? `      📦 Found ${discoveredOffers.length} offers for ${casino.name} (cached from ${cachedAt.toISOString()})`
+            : `      Found ${discoveredOffers.length} offers for ${casino.name}`);
+        
+          const currentOffers = await Offer.find({ 
+            casinoName: casino.name, 
+            stateAbbreviation: abbrev, 
+            source: 'internal-api',
+            active: { $ne: false },
+          });
+
+          // Find new offers, keeping the matcher's explanation for each verdict
+          const matches = new Map(discoveredOffers.map(dOffer => [dOffer, matchOffer(dOffer, currentOffers, OFFER_MATCH_OPTIONS)]));
+          const newOffers = discoveredOffers.filter(dOffer => matches.get(dOffer).verdict === 'new');
+
+          let observed = null;
+          if (!dryRun) {
+            observed = await recordOfferObservations({ runId, casino, stateName, abbrev, discoveredOffers, matches });
+            if (observed.changed.length > 0) {
+              await logProgress(`    📝 ${observed.changed.length} offers changed for ${casino.name}: ` +
+                observed.changed.map(o => o.offerName).join(', '));
+            }
+            if (observed.missed.length > 0) {
+              await logProgress(`    💤 ${observed.missed.length} offers not seen for ${casino.name}: ` +
+                observed.missed.map(o => `${o.offerName} (${o.status})`).join(', '));
+            }
+            await emitWebhookEvents('offer.new', observed.created.map(o => offerWebhookData(o, runId)));
+            await emitWebhookEvents('offer.changed', observed.changed.map(o => ({
+              ...offerWebhookData(o, runId),
+              changes: o.versions.at(-1).changes.filter(change => change.field !== 'status'),
+            })));
+          }
+
+          let comparison = null;
+          if (newOffers.length > 0) {
+            await logProgress(`    💰 Found ${newOffers.length} new offers for ${casino.name}`);
+
+            comparison = {
+              casinoName: casino.name,
+              state: stateName,
+              cachedAt,
+              currentOffers: currentOffers.map(o => ({ 
+                name: o.offerName, 
+                type: o.offerType,
+                deposit: o.expectedDeposit,
+                bonus: o.expectedBonus 
+              })),
+              discoveredOffers: discoveredOffers.map(o => ({ 
+                name: o.offerName, 
+                type: o.offerType,
+                deposit: o.expectedDeposit,
+                bonus: o.expectedBonus,
+                match: matches.get(o),
+              })),
+              newOffers: newOffers.map(o => ({ 
+                name: o.offerName, 
+                type: o.offerType,
+                deposit: o.expectedDeposit,
+                bonus: o.expectedBonus,
+                description: o.description,
+                terms: o.terms,
+                offerId: observed?.offerIds.get(o),
+                match: matches.get(o),
+              })),
+            };
+          }
+
+          // Results and the checkpoint are written together so a casino is
+          // never both recorded and re-researched after a resume
+          const update = {
+            $inc: { casinosProcessed: 1, offersProcessed: newOffers.length, [cachedAt ? 'cache.hits' : 'cache.misses']: 1 },
+            $addToSet: { 'checkpoint.completedCasinos': casinoCheckpointKey(abbrev, casino.name) },
+          };
+          update.$push = {
+            observedOffers: {
+              state: stateName,
+              casinoName: casino.name,
+              cachedAt,
+              offers: discoveredOffers.map(o => ({
+                offerId: observed?.offerIds.get(o),
+                name: o.offerName,
+                type: o.offerType,
+                deposit: o.expectedDeposit,
+                bonus: o.expectedBonus,
+                valueScore: evaluateOffer(o).valueScore,
+              })),
+            },
+          };
+          if (comparison) update.$push.offerComparisons = comparison;
+          if (resume) update.$pull = { failures: { state: stateName, casinoName: casino.name } };
+          await ResearchRun.findByIdAndUpdate(runId, update);
+        });
+      
+        if (stopRequest) break;
+        await logProgress(`  ✅ Completed ${stateName} - Processed ${allCasinos.length} casinos` +
+          (stateFailures > 0 ? `, ${stateFailures} failed` : ''));
+      }
+
+      // States with failed casinos stay open so a resume retries them
+      if (stateFailures === 0) {
+        await ResearchRun.findByIdAndUpdate(runId, { $addToSet: { 'checkpoint.completedStates': abbrev } });
+      }
+    }
+
+    const finished = await ResearchRun.findById(runId);
+    const totalMissingCasinos = finished.missingCasinos.reduce((sum, m) => sum + m.casinos.length, 0);
+    const totalNewOffers = finished.offerComparisons.reduce((sum, c) => sum + c.newOffers.length, 0);
+    const summary = {
+      totalMissingCasinos,
+      totalNewOffers,
+      totalFailures: finished.failures.length,
+      totalPossibleDuplicates: finished.possibleDuplicates.length,
+      statesProcessed: jurisdictions.filter(j => finished.checkpoint.completedStates.includes(j.abbreviation)).map(j => j.name),
+    };
+
+    if (stopRequest) {
+      const status = stopRequest === 'cancel' ? 'cancelled' : 'paused';
+      if (stopRequest === 'budget') {
+        await logProgress(`\n💸 Budget of ${formatUsd(finished.scope.budgetUsd)} reached (${formatUsd(finished.usage.cost)} spent) - research paused (${finished.casinosProcessed} casinos processed)`);
+      } else {
+        await logProgress(stopRequest === 'cancel'
+          ? `\n🛑 Research cancelled (${finished.casinosProcessed} casinos processed)`
+          : `\n⏸️ Research paused (${finished.casinosProcessed} casinos processed)`);
+      }
+      await ResearchRun.findByIdAndUpdate(runId, {
+        status,
+        controlRequest: null,
+        stopReason: stopRequest === 'budget' ? 'budget' : null,
+        currentCasino: null,
+        summary,
+        ...(status === 'paused' ? { pausedAt: new Date() } : { completedAt: new Date(), currentState: null }),
+      });
+      return;
+    }
+
+    // Update research run
+    await logProgress(`\n✅ Research completed successfully${dryRun ? ' (dry run, nothing saved)' : ''}`);
+    await logProgress(`   Total missing casinos: ${totalMissingCasinos}`);
+    await logProgress(`   Total new offers: ${totalNewOffers}`);
+    if (finished.failures.length > 0) {
+      await logProgress(`   Total failures: ${finished.failures.length}`);
+    }
+    await logProgress(`   Estimated LLM cost: ${formatUsd(finished.usage.cost)} (${finished.usage.calls} calls)`);
+    if (finished.cache.hits > 0) {
+      await logProgress(`   Cached results: ${finished.cache.hits} of ${finished.cache.hits + finished.cache.misses}`);
+    }
+    
+    const completed = await ResearchRun.findByIdAndUpdate(runId, {
+      status: 'completed',
+      completedAt: new Date(),
+      currentState: null,
+      currentCasino: null,
+      controlRequest: null,
+      summary,
+    }, { new: true });
+    await emitWebhookEvent('run.completed', runWebhookData(completed.toObject()));
+
+  } catch (error) {
+    console.error('❌ Research error:', error);
+    await logProgress(`❌ Research failed: ${error.message}`);
+    const failed = await ResearchRun.findByIdAndUpdate(runId, {
       status: 'failed',
+      failureReason: error.message,
       completedAt: new Date(),
       currentState: null,
       currentCasino: null,
-    });
+      controlRequest: null,
+    }, { new: true });
+    if (failed) await emitWebhookEvent('run.failed', runWebhookData(failed.toObject()));
+  } finally {
+    clearInterval(heartbeat);
   }
 }
 
 // Get research runs
-app.get('/api/research/runs', async (req, res) => {
-  const runs = await ResearchRun.find().sort({ startedAt: -1 }).limit(20);
+// The progress log is left out here; it is streamed by the events endpoint
+const runListQuery = s.object({ limit: s.integer({ min: 1, max: 100, default: 20 }) });
+
+app.get('/api/research/runs', requireRole('viewer'), validateRequest({ query: runListQuery }), async (req, res) => {
+  const runs = await ResearchRun.find().select('-progressLog').sort({ startedAt: -1 }).limit(req.query.limit);
   res.json(runs);
 });
 
+// Compare two runs: casinos that appeared or disappeared, offers added,
+// removed or changed in value, and per-state deltas. `a` is the base run.
+app.get('/api/research/runs/:a/diff/:b', requireRole('viewer'), validateRequest({ params: s.object({ a: objectId(), b: objectId() }) }), async (req, res) => {
+  const fields = 'startedAt completedAt status scope discoveredCasinos observedOffers offerComparisons';
+  const [base, compare] = await Promise.all([
+    ResearchRun.findById(req.params.a).select(fields).lean(),
+    ResearchRun.findById(req.params.b).select(fields).lean(),
+  ]);
+  if (!base || !compare) throw notFound('Research run not found');
+
+  const describeRun = ({ _id, startedAt, completedAt, status, scope }) => ({ _id, startedAt, completedAt, status, scope });
+  res.json({ base: describeRun(base), compare: describeRun(compare), ...diffRuns(base, compare) });
+});
+
+// Queue AI analysis of every comparison's new offers as a background job.
+// Progress is reported on the run's `analysisJob`; `{ "force": true }`
+// re-analyzes offers that already have a stored analysis.
+const analyzeRunRequest = {
+  params: idParams,
+  body: s.object({ force: s.boolean({ default: false }) }),
+};
+
+app.post('/api/research/runs/:id/analyze', requireRole('analyst'), validateRequest(analyzeRunRequest), async (req, res) => {
+  const run = await ResearchRun.findById(req.params.id).select('status offerComparisons analysisJob');
+  if (!run) throw notFound('Research run not found');
+  if (!['completed', 'paused', 'cancelled', 'failed'].includes(run.status)) {
+    throw conflict(`Run is ${run.status}; analyze it once it has stopped`);
+  }
+
+  const now = new Date();
+  const job = {
+    status: 'queued',
+    total: run.offerComparisons.filter(comparison => comparison.newOffers.length > 0).length,
+    processed: 0,
+    failed: 0,
+    skipped: 0,
+    force: req.body.force,
+    startedAt: now,
+    updatedAt: now,
+  };
+  // Claimed conditionally so two clicks can't start two jobs
+  const claimed = await ResearchRun.findOneAndUpdate(
+    { _id: run._id, 'analysisJob.status': { $nin: ['queued', 'in-progress'] } },
+    { $set: { analysisJob: job } },
+    { new: true }
+  );
+  if (!claimed) throw conflict('Analysis is already running for this run', { job: run.analysisJob });
+
+  await auditAction(req, { entityType: 'run', entityId: run._id, action: 'analyze', details: { force: job.force } });
+  performAnalysis(run._id).catch(console.error);
+  res.status(202).json({ success: true, job: claimed.analysisJob });
+});
+
+// Stored analyses for a run's new offers, plus the state of its analysis job
+app.get('/api/research/runs/:id/analysis', requireRole('viewer'), validateRequest({ params: idParams }), async (req, res) => {
+  const run = await ResearchRun.findById(req.params.id).select('offerComparisons analysisJob');
+  if (!run) throw notFound('Research run not found');
+  const offerIds = run.offerComparisons.flatMap(comparison => comparison.newOffers.map(o => o.offerId).filter(Boolean));
+  const offers = await Offer.find({ _id: { $in: offerIds }, 'analysis.analyzedAt': { $exists: true } })
+    .select('casinoName offerName analysis');
+  res.json({
+    job: run.analysisJob?.status ? run.analysisJob : null,
+    analyses: offers.map(offer => ({
+      offerId: offer._id,
+      casinoName: offer.casinoName,
+      offerName: offer.offerName,
+      analysis: offer.analysis,
+    })),
+  });
+});
+
+// Calls, tokens and estimated cost of the LlmCall records matching `match`,
+// in total and per state, purpose and model, most expensive first
+async function summarizeLlmUsage(match) {
+  const totals = {
+    calls: { $sum: 1 },
+    failedCalls: { $sum: { $cond: [{ $ifNull: ['$error', false] }, 1, 0] } },
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    cost: { $sum: { $ifNull: ['$cost', 0] } },
+    unpricedCalls: { $sum: { $cond: [{ $eq: ['$cost', null] }, 1, 0] } },
+    avgLatencyMs: { $avg: '$latencyMs' },
+  };
+  const groupBy = (key) => [{ $group: { _id: key ? `$${key}` : null, ...totals } }, { $sort: { cost: -1, _id: 1 } }];
+  const [facets] = await LlmCall.aggregate([
+    { $match: match },
+    { $facet: { total: groupBy(null), state: groupBy('state'), purpose: groupBy('purpose'), model: groupBy('model') } },
+  ]);
+  const rows = (key) => facets[key].map(({ _id, ...row }) => ({ [key]: _id ?? null, ...row }));
+  const [{ _id, ...total } = { calls: 0, failedCalls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedCalls: 0, avgLatencyMs: null }] = facets.total;
+  return { total, byState: rows('state'), byPurpose: rows('purpose'), byModel: rows('model') };
+}
+
+// What a run's LLM calls cost, per state, purpose and model
+app.get('/api/research/runs/:id/usage', requireRole('viewer'), validateRequest({ params: idParams }), async (req, res) => {
+  const run = await ResearchRun.findById(req.params.id).select('scope.budgetUsd usage stopReason');
+  if (!run) throw notFound('Research run not found');
+  const usage = await summarizeLlmUsage({ runId: run._id });
+  res.json({ runId: run._id, budgetUsd: run.scope?.budgetUsd ?? null, stopReason: run.stopReason, ...usage });
+});
+
 // Get specific research run
-app.get('/api/research/runs/:id', async (req, res) => {
+app.get('/api/research/runs/:id', requireRole('viewer'), validateRequest({ params: idParams }), async (req, res) => {
   const run = await ResearchRun.findById(req.params.id);
+  if (!run) throw notFound('Research run not found');
   res.json(run);
 });
 
+const RUN_PROGRESS_FIELDS = ['status', 'controlRequest', 'stopReason', 'currentState', 'currentCasino', 'casinosProcessed', 'offersProcessed', 'usage', 'cache', 'failureReason'];
+const TERMINAL_RUN_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Live run progress as Server-Sent Events:
+//   log      - one progress log line; its id is the line number, so a
+//              reconnect with Last-Event-ID only replays missed lines
+//   progress - status, current state/casino and counters whenever they change
+//   end      - the run reached a terminal status; the stream then closes
+const runEventsRequest = {
+  params: idParams,
+  query: s.object({ lastEventId: s.integer({ min: 0, optional: true }) }),
+};
+
+app.get('/api/research/runs/:id/events', requireRole('viewer'), validateRequest(runEventsRequest), async (req, res) => {
+  const runId = req.params.id;
+  if (!(await ResearchRun.exists({ _id: runId }))) throw notFound('Research run not found');
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+  let sentLines = Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : 0;
+  let lastProgress = null;
+  let closed = false;
+  let syncing = false;
+  let dirty = false;
+
+  let resync = null;
+  let keepAlive = null;
+  const onChange = (changedId) => {
+    if (changedId === runId) sync();
+  };
+  const cleanup = () => {
+    closed = true;
+    runEvents.off('change', onChange);
+    clearInterval(resync);
+    clearInterval(keepAlive);
+  };
+
+  const send = (event, data, id) => {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Sends whatever changed since the last sync. Calls that arrive while a
+  // sync is running are coalesced into one follow-up sync.
+  const sync = async () => {
+    if (closed) return;
+    if (syncing) {
+      dirty = true;
+      return;
+    }
+    syncing = true;
+    try {
+      do {
+        dirty = false;
+        const projection = Object.fromEntries(RUN_PROGRESS_FIELDS.map(field => [field, 1]));
+        const run = await ResearchRun.findById(runId, { ...projection, progressLog: { $slice: [sentLines, 500] } });
+        if (!run || closed) return;
+
+        for (const line of run.progressLog) {
+          sentLines++;
+          send('log', { line }, sentLines);
+        }
+        // More than one page of lines outstanding
+        if (run.progressLog.length === 500) dirty = true;
+
+        const progress = Object.fromEntries(RUN_PROGRESS_FIELDS.map(field => [field, run[field] ?? null]));
+        if (JSON.stringify(progress) !== JSON.stringify(lastProgress)) {
+          lastProgress = progress;
+          send('progress', progress);
+        }
+
+        if (!dirty && TERMINAL_RUN_STATUSES.includes(run.status)) {
+          send('end', { status: run.status });
+          cleanup();
+          res.end();
+          return;
+        }
+      } while (dirty && !closed);
+    } catch (error) {
+      console.error('Run event stream error:', error.message);
+    } finally {
+      syncing = false;
+    }
+  };
+
+  runEvents.on('change', onChange);
+  resync = setInterval(sync, 5000);
+  keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => cleanup());
+
+  await sync();
+});
+
+// The error explaining why a pause/resume/cancel did not apply to a run
+async function controlConflict(runId, action) {
+  const run = await ResearchRun.findById(runId).select('status controlRequest');
+  if (!run) return notFound('Research run not found');
+  const pending = run.controlRequest ? ` (${run.controlRequest} already requested)` : '';
+  return conflict(`Cannot ${action} a run that is ${run.status}${pending}`);
+}
+
+// Pause an in-progress run; it stops after the casinos currently in flight
+app.post('/api/research/runs/:id/pause', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const run = await ResearchRun.findOneAndUpdate(
+    { _id: req.params.id, status: 'in-progress', controlRequest: null },
+    { controlRequest: 'pause' },
+    { new: true }
+  );
+  if (!run) throw await controlConflict(req.params.id, 'pause');
+  await auditAction(req, { entityType: 'run', entityId: run._id, action: 'pause' });
+  res.json({ runId: run._id, status: run.status, controlRequest: run.controlRequest });
+});
+
+// Resume a paused run from its checkpoint. `budgetUsd` replaces the run's
+// budget, which a run paused for its budget needs to go on.
+const resumeRunRequest = {
+  params: idParams,
+  body: s.object({ budgetUsd: s.number({ min: 0.01, optional: true }) }),
+};
+
+app.post('/api/research/runs/:id/resume', requireRole('admin'), validateRequest(resumeRunRequest), async (req, res) => {
+  const { budgetUsd } = req.body;
+  const current = await ResearchRun.findById(req.params.id).select('scope.budgetUsd usage.cost');
+  if (!current) throw notFound('Research run not found');
+  if (budgetSpent(budgetUsd ?? current.scope?.budgetUsd, current.usage?.cost)) {
+    throw conflict(`The run has spent ${formatUsd(current.usage.cost)} of its ${formatUsd(budgetUsd ?? current.scope.budgetUsd)} budget; resume it with a higher budgetUsd`);
+  }
+
+  const run = await ResearchRun.findOneAndUpdate(
+    { _id: req.params.id, status: 'paused' },
+    {
+      status: 'in-progress',
+      controlRequest: null,
+      stopReason: null,
+      resumedAt: new Date(),
+      heartbeatAt: new Date(),
+      ...(budgetUsd !== undefined && { 'scope.budgetUsd': budgetUsd }),
+    },
+    { new: true }
+  );
+  if (!run) throw await controlConflict(req.params.id, 'resume');
+
+  await auditAction(req, { entityType: 'run', entityId: run._id, action: 'resume', details: budgetUsd !== undefined ? { budgetUsd } : undefined });
+  performResearch(run._id, { resume: true }).catch(console.error);
+
+  res.json({ runId: run._id, status: run.status });
+});
+
+// Cancel a run. A paused run is cancelled immediately; an in-progress one
+// stops after the casinos currently in flight.
+app.post('/api/research/runs/:id/cancel', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  let run = await ResearchRun.findOneAndUpdate(
+    { _id: req.params.id, status: 'paused' },
+    { status: 'cancelled', completedAt: new Date(), currentState: null, currentCasino: null },
+    { new: true }
+  );
+  if (!run) {
+    run = await ResearchRun.findOneAndUpdate(
+      { _id: req.params.id, status: 'in-progress' },
+      { controlRequest: 'cancel' },
+      { new: true }
+    );
+  }
+  if (!run) throw await controlConflict(req.params.id, 'cancel');
+  await auditAction(req, { entityType: 'run', entityId: run._id, action: 'cancel' });
+  res.json({ runId: run._id, status: run.status, controlRequest: run.controlRequest });
+});
+
+// Settle a possible duplicate flagged during discovery. 'same' records the
+// discovered name as an alias of the existing casino; 'different' adds it as
+// a new discovered casino.
+const resolveDuplicateRequest = {
+  params: s.object({ id: objectId(), duplicateId: objectId() }),
+  body: s.object({ resolution: s.enum(['same', 'different']) }),
+};
+
+app.post('/api/research/runs/:id/duplicates/:duplicateId/resolve', requireRole('analyst'), validateRequest(resolveDuplicateRequest), async (req, res) => {
+  const { resolution } = req.body;
+  const run = await ResearchRun.findById(req.params.id);
+  const duplicate = run?.possibleDuplicates.id(req.params.duplicateId);
+  if (!duplicate) throw notFound('Possible duplicate not found');
+  if (duplicate.resolution !== 'pending') throw conflict(`Already resolved as ${duplicate.resolution}`);
+
+  let casino;
+  if (resolution === 'same') {
+    casino = await Casino.findByIdAndUpdate(
+      duplicate.candidateId,
+      { $addToSet: { aliases: duplicate.discoveredName }, lastUpdated: new Date() },
+      { new: true }
+    );
+    if (!casino) throw notFound('Matched casino no longer exists');
+  } else {
+    casino = await Casino.create({
+      name: duplicate.discoveredName,
+      state: duplicate.state,
+      stateAbbreviation: duplicate.stateAbbreviation,
+      discovered: true,
+    });
+  }
+
+  await ResearchRun.updateOne(
+    { _id: run._id, 'possibleDuplicates._id': duplicate._id },
+    { $set: { 'possibleDuplicates.$.resolution': resolution } }
+  );
+  await auditAction(req, { entityType: 'run', entityId: run._id, action: 'resolve-duplicate', details: { discoveredName: duplicate.discoveredName, resolution, casinoId: casino._id } });
+  res.json({ success: true, resolution, casino });
+});
+
+// List filters and sorts, shared by the list and export endpoints. Lists
+// come back a page at a time (see lib/listQuery.js); exports take the same
+// filters and sort without paging.
+
+// `?active=false` lists what init marked inactive, `?active=true` the rest
+const activeFilter = (active) => (active === false ? { active: false } : active === true ? { active: { $ne: false } } : {});
+
+const stateFilter = s.string({ pattern: /^[A-Za-z]{2}$/, patternMessage: 'must be a two-letter state abbreviation', optional: true });
+const searchFilter = s.string({ min: 2, max: 200, optional: true });
+
+// With `?q=` and no `?sort=`, the best text matches come first; _id breaks
+// ties as it does for sortSpec, so equal scores page consistently
+const textScoreSort = { score: { $meta: 'textScore' }, _id: 1 };
+
+const CASINO_SORT_FIELDS = ['name', 'state', 'stateAbbreviation', 'createdAt', 'lastUpdated'];
+
+const casinoFilterShape = {
+  q: searchFilter,
+  state: stateFilter,
+  active: s.boolean({ optional: true }),
+  discovered: s.boolean({ optional: true }),
+  sort: sortParam(CASINO_SORT_FIELDS),
+};
+
+function casinoListQuery({ q, state, active, discovered, sort }) {
+  const query = activeFilter(active);
+  if (q) query.$text = { $search: q };
+  if (state) query.stateAbbreviation = state.toUpperCase();
+  if (discovered !== undefined) query.discovered = discovered;
+  const order = sort ? sortSpec(sort) : q ? textScoreSort : sortSpec(['state', 'name']);
+  return { query, order };
+}
+
+const OFFER_SORT_FIELDS = [
+  'casinoName', 'stateAbbreviation', 'offerName', 'offerType', 'expectedDeposit', 'expectedBonus',
+  'wageringMultiplier', 'valueScore', 'status', 'reviewStatus', 'source', 'discoveredDate', 'lastSeenAt',
+];
+// The orders the dashboard offered before sorting took field lists
+const OFFER_SORT_ALIASES = { value: '-valueScore,-discoveredDate', newest: '-discoveredDate' };
+
+const offerFilterShape = {
+  q: searchFilter,
+  state: stateFilter,
+  casinoId: objectId({ optional: true }),
+  offerType: s.array(s.string({ min: 1 }), { optional: true, separator: ',' }),
+  source: s.enum(['internal-api', 'ai-research'], { optional: true }),
+  reviewStatus: s.array(s.enum(REVIEW_STATUSES), { optional: true, separator: ',' }),
+  status: s.array(s.enum(OFFER_STATUSES), { optional: true, separator: ',' }),
+  verified: s.boolean({ optional: true }),
+  active: s.boolean({ optional: true }),
+  minBonus: s.number({ min: 0, optional: true }),
+  maxBonus: s.number({ min: 0, optional: true }),
+  minDeposit: s.number({ min: 0, optional: true }),
+  maxDeposit: s.number({ min: 0, optional: true }),
+  discoveredFrom: s.date({ optional: true }),
+  discoveredTo: s.date({ optional: true }),
+  sort: sortParam(OFFER_SORT_FIELDS, OFFER_SORT_ALIASES),
+};
+
+function offerListQuery(filters) {
+  const { q, state, casinoId, offerType, source, reviewStatus, status, verified, active, sort } = filters;
+  const query = activeFilter(active);
+  if (q) query.$text = { $search: q };
+  if (state) query.stateAbbreviation = state.toUpperCase();
+  if (casinoId) query.casinoId = casinoId;
+  if (offerType) query.offerType = anyOfIgnoringCase(offerType);
+  if (source) query.source = source;
+  if (reviewStatus) query.reviewStatus = { $in: reviewStatus };
+  if (status) query.status = { $in: status };
+  if (verified !== undefined) query.verified = verified;
+  const ranges = {
+    expectedBonus: rangeFilter(filters.minBonus, filters.maxBonus),
+    expectedDeposit: rangeFilter(filters.minDeposit, filters.maxDeposit),
+    discoveredDate: rangeFilter(filters.discoveredFrom, filters.discoveredTo),
+  };
+  for (const [field, range] of Object.entries(ranges)) {
+    if (range) query[field] = range;
+  }
+  const order = sort ? sortSpec(sort, OFFER_SORT_ALIASES) : q ? textScoreSort : sortSpec(['newest'], OFFER_SORT_ALIASES);
+  return { query, order };
+}
+
 // Get all casinos
-app.get('/api/casinos', async (req, res) => {
-  const { state } = req.query;
-  const query = state ? { stateAbbreviation: state } : {};
-  const casinos = await Casino.find(query).sort({ state: 1, name: 1 });
-  res.json(casinos);
+app.get('/api/casinos', requireRole('viewer'), validateRequest({ query: s.object({ ...casinoFilterShape, ...pageParams }) }), async (req, res) => {
+  const { query, order } = casinoListQuery(req.query);
+  res.json(await findPage(Casino, query, { sort: order, page: req.query.page, limit: req.query.limit }));
+});
+
+// Get all offers, a page at a time
+app.get('/api/offers', requireRole('viewer'), validateRequest({ query: s.object({ ...offerFilterShape, ...pageParams }) }), async (req, res) => {
+  const { query, order } = offerListQuery(req.query);
+  res.json(await findPage(Offer, query, { sort: order, page: req.query.page, limit: req.query.limit, select: '-versions' }));
+});
+
+// Offer types in use, for the type filter
+app.get('/api/offers/types', requireRole('viewer'), async (req, res) => {
+  const types = await Offer.distinct('offerType');
+  res.json(types.filter(Boolean).sort((a, b) => a.localeCompare(b)));
+});
+
+// ==================== EXPORTS ====================
+
+// `?format=` is checked by the route's query schema, csv by default
+const exportFormat = { format: s.enum(EXPORT_FORMATS, { default: 'csv' }) };
+
+function sendExport(req, res, { tables, json, basename }) {
+  const { body, contentType, filename } = renderExport(req.query.format, { tables, json, basename });
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+const exportDate = () => new Date().toISOString().slice(0, 10);
+
+// Same filters as GET /api/casinos
+const casinoExportQuery = s.object({ ...casinoFilterShape, ...exportFormat });
+
+app.get('/api/casinos/export', requireRole('viewer'), validateRequest({ query: casinoExportQuery }), async (req, res) => {
+  const { query, order } = casinoListQuery(req.query);
+  const casinos = await Casino.find(query).sort(order).lean();
+  sendExport(req, res, {
+    tables: [{ name: 'Casinos', columns: CASINO_EXPORT_COLUMNS, records: casinos }],
+    json: casinos,
+    basename: `casinos${req.query.state ? `-${req.query.state.toUpperCase()}` : ''}-${exportDate()}`,
+  });
+});
+
+// Same filters and sort as GET /api/offers
+const offerExportQuery = s.object({ ...offerFilterShape, ...exportFormat });
+
+app.get('/api/offers/export', requireRole('viewer'), validateRequest({ query: offerExportQuery }), async (req, res) => {
+  const { query, order } = offerListQuery(req.query);
+  const offers = await Offer.find(query).select('-versions').sort(order).lean();
+  sendExport(req, res, {
+    tables: [{ name: 'Offers', columns: OFFER_EXPORT_COLUMNS, records: offers }],
+    json: offers,
+    basename: `offers${req.query.state ? `-${req.query.state.toUpperCase()}` : ''}-${exportDate()}`,
+  });
+});
+
+// Run report: summary, missing casinos and the offer comparison
+app.get('/api/research/runs/:id/export', requireRole('viewer'), validateRequest({ params: idParams, query: s.object(exportFormat) }), async (req, res) => {
+  const run = await ResearchRun.findById(req.params.id)
+    .select('status scope startedAt completedAt casinosProcessed offersProcessed failureReason failures missingCasinos offerComparisons summary')
+    .lean();
+  if (!run) throw notFound('Research run not found');
+  sendExport(req, res, {
+    tables: runReportTables(run),
+    json: run,
+    basename: `research-run-${run._id}`,
+  });
 });
 
-// Get all offers
-app.get('/api/offers', async (req, res) => {
-  const { state, casinoId } = req.query;
+// Version timeline of an offer, newest first, with the run that observed each version
+app.get('/api/offers/:id/history', requireRole('viewer'), validateRequest({ params: idParams }), async (req, res) => {
+  const offer = await Offer.findById(req.params.id);
+  if (!offer) throw notFound('Offer not found');
+
+  const runIds = [...new Set(offer.versions.filter(v => v.runId).map(v => String(v.runId)))];
+  const runs = await ResearchRun.find({ _id: { $in: runIds } }).select('startedAt status');
+  const runsById = new Map(runs.map(run => [String(run._id), run]));
+
+  res.json({
+    offer: {
+      _id: offer._id,
+      casinoName: offer.casinoName,
+      stateAbbreviation: offer.stateAbbreviation,
+      offerName: offer.offerName,
+      source: offer.source,
+      baselineSourceName: offer.baselineSourceName,
+      active: offer.active,
+      status: offer.status,
+      missedRuns: offer.missedRuns,
+      lastSeenAt: offer.lastSeenAt,
+      lastSeenRunId: offer.lastSeenRunId,
+    },
+    versions: offer.versions.map(version => ({
+      ...version.toObject(),
+      run: version.runId ? runsById.get(String(version.runId)) || null : null,
+    })).reverse(),
+  });
+});
+
+// Re-parse terms and recompute value scores, e.g. for offers stored before
+// scoring existed or after the value model changes
+// Only offers whose parsed terms or value actually change are written
+const EVALUATED_OFFER_FIELDS = Object.keys(evaluateOffer({}));
+
+app.post('/api/offers/rescore', requireRole('admin'), async (req, res) => {
+  const offers = await Offer.find()
+    .select(['offerName', 'offerType', 'expectedBonus', 'expectedDeposit', 'terms', 'description', ...EVALUATED_OFFER_FIELDS])
+    .lean();
+  const operations = offers.flatMap(offer => {
+    const changed = Object.entries(evaluateOffer(offer))
+      .filter(([field, value]) => !isDeepStrictEqual(offer[field] ?? null, value ?? null));
+    if (changed.length === 0) return [];
+    const set = changed.filter(([, value]) => value !== undefined);
+    const unset = changed.filter(([, value]) => value === undefined).map(([field]) => [field, 1]);
+    const update = {};
+    if (set.length > 0) update.$set = Object.fromEntries(set);
+    if (unset.length > 0) update.$unset = Object.fromEntries(unset);
+    return [{ updateOne: { filter: { _id: offer._id }, update } }];
+  });
+  await bulkWriteInBatches(Offer, operations);
+  await auditAction(req, { entityType: 'offer', action: 'rescore', details: { offersScored: offers.length, offersChanged: operations.length } });
+  res.json({ success: true, offersScored: offers.length, offersChanged: operations.length });
+});
+
+// ==================== JURISDICTIONS ====================
+
+const jurisdictionBodySchema = s.object({
+  name: s.string({ min: 1 }),
+  abbreviation: s.string({ min: 1, max: 10 }),
+  regulatorName: s.string({ optional: true }),
+  regulatorUrl: s.string({ optional: true }),
+  enabled: s.boolean({ optional: true }),
+  notes: s.string({ optional: true }),
+});
+
+const updateJurisdictionSchema = s.object(Object.fromEntries(
+  Object.entries(jurisdictionBodySchema.shape).map(([key, field]) => [key, { ...field, optional: true }])
+));
+
+// A duplicate key error as a 409 with a readable message; anything else as is
+const duplicateKeyError = (error, message) => (error.code === 11000 ? conflict(message) : error);
+
+// List jurisdictions (supports `?enabled=true`)
+app.get('/api/jurisdictions', requireRole('viewer'), validateRequest({ query: s.object({ enabled: s.boolean({ optional: true }) }) }), async (req, res) => {
   const query = {};
-  if (state) query.stateAbbreviation = state;
-  if (casinoId) query.casinoId = casinoId;
-  const offers = await Offer.find(query).sort({ discoveredDate: -1 });
-  res.json(offers);
+  if (req.query.enabled !== undefined) query.enabled = req.query.enabled;
+  const jurisdictions = await Jurisdiction.find(query).sort({ name: 1 });
+  res.json(jurisdictions);
+});
+
+app.get('/api/jurisdictions/:id', requireRole('viewer'), validateRequest({ params: idParams }), async (req, res) => {
+  const jurisdiction = await Jurisdiction.findById(req.params.id);
+  if (!jurisdiction) throw notFound('Jurisdiction not found');
+  res.json(jurisdiction);
+});
+
+const jurisdictionRequest = { body: jurisdictionBodySchema, message: 'Invalid jurisdiction' };
+
+app.post('/api/jurisdictions', requireRole('admin'), validateRequest(jurisdictionRequest), async (req, res) => {
+  const jurisdiction = await Jurisdiction.create(req.body).catch(error => {
+    throw duplicateKeyError(error, `Jurisdiction ${req.body.abbreviation.toUpperCase()} already exists`);
+  });
+  await auditAction(req, { entityType: 'jurisdiction', entityId: jurisdiction._id, action: 'create', details: { name: jurisdiction.name } });
+  res.status(201).json(jurisdiction);
+});
+
+const updateJurisdictionRequest = { params: idParams, body: updateJurisdictionSchema, message: 'Invalid jurisdiction' };
+
+app.put('/api/jurisdictions/:id', requireRole('admin'), validateRequest(updateJurisdictionRequest), async (req, res) => {
+  const jurisdiction = await Jurisdiction.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, lastUpdated: new Date() },
+    { new: true, runValidators: true }
+  ).catch(error => {
+    throw duplicateKeyError(error, `Jurisdiction ${req.body.abbreviation?.toUpperCase()} already exists`);
+  });
+  if (!jurisdiction) throw notFound('Jurisdiction not found');
+  await auditAction(req, { entityType: 'jurisdiction', entityId: jurisdiction._id, action: 'update', details: { name: jurisdiction.name } });
+  res.json(jurisdiction);
+});
+
+app.delete('/api/jurisdictions/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const jurisdiction = await Jurisdiction.findByIdAndDelete(req.params.id);
+  if (!jurisdiction) throw notFound('Jurisdiction not found');
+  await auditAction(req, { entityType: 'jurisdiction', entityId: jurisdiction._id, action: 'delete', details: { name: jurisdiction.name } });
+  res.json({ success: true, message: 'Jurisdiction deleted', jurisdictionId: req.params.id });
+});
+
+// ==================== USERS & API KEYS ====================
+
+const emailField = s.string({ pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, max: 254 });
+const passwordField = s.string({ min: MIN_PASSWORD_LENGTH, max: 200, trim: false });
+
+const loginSchema = s.object({ email: s.string(), password: s.string({ trim: false }) });
+const setupSchema = s.object({ email: emailField, name: s.string({ optional: true }), password: passwordField });
+const createUserSchema = s.object({
+  email: emailField,
+  name: s.string({ optional: true }),
+  password: passwordField,
+  role: s.enum(ROLES, { default: 'viewer' }),
+});
+const updateUserSchema = s.object({
+  name: s.string({ min: 1, optional: true }),
+  password: { ...passwordField, optional: true },
+  role: s.enum(ROLES, { optional: true }),
+  disabled: s.boolean({ optional: true }),
+});
+const changePasswordSchema = s.object({ currentPassword: s.string({ trim: false }), newPassword: passwordField });
+const createApiKeySchema = s.object({
+  name: s.string({ min: 1 }),
+  role: s.enum(ROLES, { optional: true }),
+  expiresInDays: s.integer({ min: 1, optional: true }),
+});
+
+function issueSession(user) {
+  const token = signJwt({ sub: String(user._id), ver: user.tokenVersion }, JWT_SECRET, { expiresInSec: SESSION_TTL_SEC });
+  return { token, expiresAt: new Date(Date.now() + SESSION_TTL_SEC * 1000), user: sessionUser(user) };
+}
+
+// Whether the login screen should offer to create the first admin
+app.get('/api/auth/status', async (req, res) => {
+  res.json({ setupRequired: !await User.exists({}) });
+});
+
+// Create the first admin. Only works while there are no users.
+app.post('/api/auth/setup', validateRequest({ body: setupSchema, message: 'Invalid user' }), async (req, res) => {
+  const value = req.body;
+  if (!await acquireLock('auth-setup', 10000)) throw conflict('Setup is already in progress');
+  try {
+    if (await User.exists({})) throw conflict('Setup has already been completed; sign in instead');
+    const user = await User.create({
+      email: value.email,
+      name: value.name || value.email,
+      passwordHash: await hashPassword(value.password),
+      role: 'admin',
+    });
+    console.log(`👤 Created admin user ${user.email}`);
+    res.status(201).json(issueSession(user));
+  } finally {
+    await releaseLock('auth-setup');
+  }
+});
+
+app.post('/api/auth/login', validateRequest({ body: loginSchema, message: 'Email and password are required' }), async (req, res) => {
+  const value = req.body;
+  const user = await User.findOne({ email: value.email.toLowerCase() });
+  // The same answer for unknown emails and wrong passwords
+  if (!user || user.disabled || !await verifyPassword(value.password, user.passwordHash)) {
+    throw unauthorized('Invalid email or password');
+  }
+  user.lastLoginAt = new Date();
+  await user.save();
+  res.json(issueSession(user));
+});
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json(req.user);
+});
+
+// Changing the password signs out every other session
+app.post('/api/auth/password', requireRole('viewer'), validateRequest({ body: changePasswordSchema, message: 'Invalid password change' }), async (req, res) => {
+  const value = req.body;
+  const user = await User.findById(req.user.id);
+  if (!await verifyPassword(value.currentPassword, user.passwordHash)) throw forbidden('Current password is incorrect');
+  user.set({ passwordHash: await hashPassword(value.newPassword), tokenVersion: user.tokenVersion + 1, lastUpdated: new Date() });
+  await user.save();
+  await auditAction(req, { entityType: 'user', entityId: user._id, action: 'change-password' });
+  res.json(issueSession(user));
+});
+
+// The caller's own API keys
+app.get('/api/auth/api-keys', requireRole('viewer'), async (req, res) => {
+  const keys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+  res.json(keys);
+});
+
+// The key is in the response only this once. It gets the caller's role
+// unless a lower one is asked for.
+app.post('/api/auth/api-keys', requireRole('viewer'), validateRequest({ body: createApiKeySchema, message: 'Invalid API key' }), async (req, res) => {
+  const value = req.body;
+  const role = value.role || req.user.role;
+  if (!hasRole(req.user.role, role)) throw forbidden(`You can't create a key with the ${role} role`);
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    name: value.name,
+    userId: req.user.id,
+    keyHash,
+    prefix,
+    role,
+    expiresAt: value.expiresInDays ? new Date(Date.now() + value.expiresInDays * 86400000) : undefined,
+  });
+  await auditAction(req, { entityType: 'api-key', entityId: apiKey._id, action: 'create', details: { name: apiKey.name, role } });
+  res.status(201).json({ ...apiKey.toJSON(), key });
+});
+
+// Revoke one of the caller's keys; admins can revoke anyone's
+app.delete('/api/auth/api-keys/:id', requireRole('viewer'), validateRequest({ params: idParams }), async (req, res) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.id, revokedAt: null, ...(!hasRole(req.user.role, 'admin') && { userId: req.user.id }) },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  if (!apiKey) throw notFound('API key not found');
+  await auditAction(req, { entityType: 'api-key', entityId: apiKey._id, action: 'revoke', details: { name: apiKey.name } });
+  res.json(apiKey);
+});
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  const users = await User.find().sort({ email: 1 });
+  res.json(users);
+});
+
+app.post('/api/users', requireRole('admin'), validateRequest({ body: createUserSchema, message: 'Invalid user' }), async (req, res) => {
+  const value = req.body;
+  const user = await User.create({
+    email: value.email,
+    name: value.name || value.email,
+    passwordHash: await hashPassword(value.password),
+    role: value.role,
+  }).catch(error => {
+    throw duplicateKeyError(error, `A user with email ${value.email} already exists`);
+  });
+  await auditAction(req, { entityType: 'user', entityId: user._id, action: 'create', details: { email: user.email, role: user.role } });
+  res.status(201).json(user);
+});
+
+// Change a user's name, role or password, or disable them. Users are
+// disabled rather than deleted so their past actions stay attributed.
+app.put('/api/users/:id', requireRole('admin'), validateRequest({ params: idParams, body: updateUserSchema, message: 'Invalid user' }), async (req, res) => {
+  const value = req.body;
+  const user = await User.findById(req.params.id);
+  if (!user) throw notFound('User not found');
+  const losesAdmin = user.role === 'admin' && !user.disabled && ((value.role && value.role !== 'admin') || value.disabled);
+  if (losesAdmin && !await User.exists({ _id: { $ne: user._id }, role: 'admin', disabled: false })) {
+    throw conflict('Keep at least one active admin');
+  }
+
+  const { password, ...fields } = value;
+  user.set({ ...fields, lastUpdated: new Date() });
+  if (password) {
+    user.passwordHash = await hashPassword(password);
+    user.tokenVersion += 1;
+  }
+  await user.save();
+  await auditAction(req, {
+    entityType: 'user',
+    entityId: user._id,
+    action: 'update',
+    details: { ...fields, ...(password && { passwordReset: true }) },
+  });
+  res.json(user);
+});
+
+// Recent audit entries across everything (supports `?entityType=`,
+// `?actorId=` and `?limit=`)
+const auditQuery = s.object({
+  entityType: s.string({ optional: true }),
+  actorId: objectId({ optional: true }),
+  limit: s.integer({ min: 1, max: 1000, default: 100 }),
+});
+
+app.get('/api/audit', requireRole('admin'), validateRequest({ query: auditQuery }), async (req, res) => {
+  const query = {};
+  if (req.query.entityType) query.entityType = req.query.entityType;
+  if (req.query.actorId) query.actorId = req.query.actorId;
+  const entries = await AuditLog.find(query).sort({ at: -1 }).limit(req.query.limit);
+  res.json(entries);
+});
+
+// ==================== BASELINE SOURCES ====================
+
+const baselineSourceBodySchema = s.object({
+  name: s.string({ min: 1 }),
+  type: s.enum(BASELINE_SOURCE_TYPES),
+  enabled: s.boolean({ default: true }),
+  config: s.object({
+    url: s.string({ pattern: /^https?:\/\/\S+$/i, optional: true }),
+    recordsPath: s.string({ optional: true }),
+    headers: s.array(s.object({ name: s.string({ min: 1 }), value: s.string() }), { optional: true }),
+  }, { optional: true }),
+  fieldMap: s.object(Object.fromEntries(BASELINE_FIELDS.map(field => [field, s.string({ optional: true })])), { optional: true }),
+});
+
+const updateBaselineSourceSchema = s.object(Object.fromEntries(
+  Object.entries(baselineSourceBodySchema.shape).map(([key, field]) => [key, { ...field, optional: true, default: undefined }])
+));
+
+const BASELINE_UPLOAD_LIMIT = process.env.BASELINE_UPLOAD_LIMIT || '10mb';
+
+// Adapter types with their default field maps, for building a source
+app.get('/api/baseline-sources/types', requireRole('admin'), (req, res) => {
+  res.json(BASELINE_SOURCE_TYPES.map(type => ({
+    type,
+    description: BASELINE_ADAPTERS[type].description,
+    defaultFieldMap: BASELINE_ADAPTERS[type].defaultFieldMap,
+  })));
+});
+
+app.get('/api/baseline-sources', requireRole('admin'), async (req, res) => {
+  const sources = await BaselineSource.find().select('-upload.content').sort({ name: 1 });
+  res.json(sources);
+});
+
+app.get('/api/baseline-sources/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const source = await BaselineSource.findById(req.params.id).select('-upload.content');
+  if (!source) throw notFound('Baseline source not found');
+  res.json({ ...source.toJSON(), effectiveFieldMap: effectiveFieldMap(source) });
+});
+
+app.post('/api/baseline-sources', requireRole('admin'), validateRequest({ body: baselineSourceBodySchema, message: 'Invalid baseline source' }), async (req, res) => {
+  const value = req.body;
+  if (value.type === 'http-json' && !value.config?.url) throw badRequest('An http-json source needs config.url');
+  if (await BaselineSource.exists({ name: value.name })) throw conflict(`Baseline source "${value.name}" already exists`);
+  const source = await BaselineSource.create(value);
+  await auditAction(req, { entityType: 'baseline-source', entityId: source._id, action: 'create', details: { name: source.name } });
+  res.status(201).json(source);
+});
+
+// `config` and `fieldMap` are replaced as a whole when given
+const updateBaselineSourceRequest = { params: idParams, body: updateBaselineSourceSchema, message: 'Invalid baseline source' };
+
+app.put('/api/baseline-sources/:id', requireRole('admin'), validateRequest(updateBaselineSourceRequest), async (req, res) => {
+  const value = req.body;
+  const source = await BaselineSource.findById(req.params.id);
+  if (!source) throw notFound('Baseline source not found');
+  source.set({ ...value, lastUpdated: new Date() });
+  if (source.type === 'http-json' && !source.config?.url) throw badRequest('An http-json source needs config.url');
+  await auditAction(req, { entityType: 'baseline-source', entityId: source._id, action: 'update', details: { name: source.name } });
+  await source.save().catch(error => {
+    throw duplicateKeyError(error, `Baseline source "${value.name}" already exists`);
+  });
+  res.json(source);
+});
+
+// Offers and casinos keep their baselineSourceName after the source is gone
+app.delete('/api/baseline-sources/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const source = await BaselineSource.findByIdAndDelete(req.params.id);
+  if (!source) throw notFound('Baseline source not found');
+  await auditAction(req, { entityType: 'baseline-source', entityId: source._id, action: 'delete', details: { name: source.name } });
+  res.json({ success: true, message: 'Baseline source deleted', sourceId: req.params.id });
+});
+
+// Upload the file for a `file` source, as the raw request body (text/csv,
+// text/plain or application/json). `?filename=` or `?format=csv|json` tell
+// the format apart, otherwise it is sniffed. The file is parsed straight
+// away so a bad upload is rejected here rather than at the next init.
+// The body is the file itself, so only the params and query are checked
+const uploadRequest = {
+  params: idParams,
+  query: s.object({
+    filename: s.string({ optional: true }),
+    format: s.enum(['csv', 'json'], { optional: true }),
+  }),
+};
+
+app.post('/api/baseline-sources/:id/upload', requireRole('admin'), validateRequest(uploadRequest), express.text({ type: () => true, limit: BASELINE_UPLOAD_LIMIT }), async (req, res) => {
+  const source = await BaselineSource.findById(req.params.id);
+  if (!source) throw notFound('Baseline source not found');
+  if (source.type !== 'file') throw badRequest(`Only file sources take uploads; "${source.name}" is ${source.type}`);
+  const content = typeof req.body === 'string' ? req.body : '';
+  if (!content.trim()) throw badRequest('The upload is empty');
+  const { filename } = req.query;
+  const format = req.query.format || detectUploadFormat(content, filename);
+
+  let records;
+  try {
+    records = parseUpload(content, format, source.config?.recordsPath);
+  } catch (error) {
+    throw badRequest(`Could not parse the ${format.toUpperCase()} upload: ${error.message}`);
+  }
+
+  source.upload = { filename, format, content, records: records.length, uploadedAt: new Date() };
+  await auditAction(req, { entityType: 'baseline-source', entityId: source._id, action: 'upload', details: { name: source.name, filename, records: records.length } });
+  source.lastUpdated = new Date();
+  await source.save();
+  res.json(source);
+});
+
+// Fetches and maps a source without importing anything, to check a field map
+const previewSourceRequest = {
+  params: idParams,
+  query: s.object({ limit: s.integer({ min: 1, max: 100, default: 10 }) }),
+};
+
+app.get('/api/baseline-sources/:id/preview', requireRole('admin'), validateRequest(previewSourceRequest), async (req, res) => {
+  const source = await BaselineSource.findById(req.params.id);
+  if (!source) throw notFound('Baseline source not found');
+  const { limit } = req.query;
+  // A misconfigured source is the caller's to fix; anything else is the
+  // source itself failing
+  const { records, skipped, total } = await loadBaselineRecords(source).catch(error => {
+    throw error instanceof BaselineSourceError ? badRequest(error.message) : upstreamError(error.message);
+  });
+  res.json({
+    total,
+    valid: records.length,
+    fieldMap: effectiveFieldMap(source),
+    records: records.slice(0, limit),
+    skipped: skipped.slice(0, limit),
+    skippedCount: skipped.length,
+  });
+});
+
+// ==================== SCHEDULES ====================
+
+const scheduleScopeSchema = s.object({
+  states: s.array(s.string({ min: 1 }), { optional: true }),
+  phases: s.array(s.enum(RESEARCH_PHASES), { optional: true, min: 1 }),
+  dryRun: s.boolean({ default: false }),
+  budgetUsd: s.number({ min: 0.01, optional: true }),
+  forceRefresh: s.boolean({ default: false }),
+}, { optional: true });
+
+const createScheduleSchema = s.object({
+  name: s.string({ min: 1 }),
+  cron: s.string({ min: 1 }),
+  scope: scheduleScopeSchema,
+  enabled: s.boolean({ default: true }),
+});
+
+// Same fields, all optional, for partial updates
+const updateScheduleSchema = s.object(Object.fromEntries(
+  Object.entries(createScheduleSchema.shape).map(([key, field]) => [key, { ...field, optional: true, default: undefined }])
+));
+
+// Checks what the body schema can't: the cron expression must match some
+// time (a CronError for one that doesn't parse becomes a 400), and states
+// must be known jurisdictions
+async function checkScheduleBody(value) {
+  if (value.cron !== undefined && !nextCronTime(parseCron(value.cron))) {
+    throw badRequest(`Cron expression "${value.cron}" never matches`);
+  }
+  if (value.scope) {
+    const { scope, error } = await resolveResearchScope(value.scope);
+    if (error) throw badRequest(error);
+    value.scope = scope;
+  }
+  return value;
+}
+
+app.get('/api/schedules', requireRole('admin'), async (req, res) => {
+  const schedules = await Schedule.find().sort({ name: 1 });
+  res.json(schedules);
+});
+
+app.get('/api/schedules/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const schedule = await Schedule.findById(req.params.id);
+  if (!schedule) throw notFound('Schedule not found');
+  res.json(schedule);
+});
+
+app.post('/api/schedules', requireRole('admin'), validateRequest({ body: createScheduleSchema, message: 'Invalid schedule' }), async (req, res) => {
+  const value = await checkScheduleBody(req.body);
+  const schedule = await Schedule.create(value);
+  await auditAction(req, { entityType: 'schedule', entityId: schedule._id, action: 'create', details: { name: schedule.name, cron: schedule.cron } });
+  res.status(201).json(schedule);
+});
+
+app.put('/api/schedules/:id', requireRole('admin'), validateRequest({ params: idParams, body: updateScheduleSchema, message: 'Invalid schedule' }), async (req, res) => {
+  const value = await checkScheduleBody(req.body);
+  const schedule = await Schedule.findById(req.params.id);
+  if (!schedule) throw notFound('Schedule not found');
+  // save() rather than an update so nextRunAt is recomputed
+  schedule.set({ ...value, lastUpdated: new Date() });
+  await auditAction(req, { entityType: 'schedule', entityId: schedule._id, action: 'update', details: { name: schedule.name } });
+  await schedule.save();
+  res.json(schedule);
+});
+
+app.delete('/api/schedules/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const schedule = await Schedule.findByIdAndDelete(req.params.id);
+  if (!schedule) throw notFound('Schedule not found');
+  await auditAction(req, { entityType: 'schedule', entityId: schedule._id, action: 'delete', details: { name: schedule.name } });
+  res.json({ success: true, message: 'Schedule deleted', scheduleId: req.params.id });
+});
+
+// ==================== WEBHOOKS ====================
+
+const webhookUrlPattern = /^https?:\/\/\S+$/i;
+
+const createWebhookSchema = s.object({
+  name: s.string({ min: 1 }),
+  url: s.string({ pattern: webhookUrlPattern }),
+  events: s.array(s.enum(WEBHOOK_EVENTS), { min: 1 }),
+  secret: s.string({ min: 16, optional: true }),
+  enabled: s.boolean({ default: true }),
+});
+
+const updateWebhookSchema = s.object(Object.fromEntries(
+  Object.entries(createWebhookSchema.shape).map(([key, field]) => [key, { ...field, optional: true, default: undefined }])
+));
+
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+  const webhooks = await Webhook.find().sort({ name: 1 });
+  res.json(webhooks);
+});
+
+app.get('/api/webhooks/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) throw notFound('Webhook not found');
+  res.json(webhook);
+});
+
+// The secret is generated unless one is supplied, and returned in full only here
+app.post('/api/webhooks', requireRole('admin'), validateRequest({ body: createWebhookSchema, message: 'Invalid webhook' }), async (req, res) => {
+  const value = req.body;
+  const webhook = await Webhook.create({ ...value, secret: value.secret || generateWebhookSecret() });
+  await auditAction(req, { entityType: 'webhook', entityId: webhook._id, action: 'create', details: { name: webhook.name, url: webhook.url } });
+  res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+});
+
+app.put('/api/webhooks/:id', requireRole('admin'), validateRequest({ params: idParams, body: updateWebhookSchema, message: 'Invalid webhook' }), async (req, res) => {
+  const webhook = await Webhook.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, lastUpdated: new Date() },
+    { new: true, runValidators: true }
+  );
+  if (!webhook) throw notFound('Webhook not found');
+  await auditAction(req, { entityType: 'webhook', entityId: webhook._id, action: 'update', details: { name: webhook.name } });
+  res.json(webhook);
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const webhook = await Webhook.findByIdAndDelete(req.params.id);
+  if (!webhook) throw notFound('Webhook not found');
+  await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+  await auditAction(req, { entityType: 'webhook', entityId: webhook._id, action: 'delete', details: { name: webhook.name } });
+  res.json({ success: true, message: 'Webhook deleted', webhookId: req.params.id });
+});
+
+// Delivery log, newest first; `?status=failed` narrows it down
+const deliveriesRequest = {
+  params: idParams,
+  query: s.object({
+    status: s.enum(['pending', 'delivered', 'failed'], { optional: true }),
+    limit: s.integer({ min: 1, max: 200, default: 50 }),
+  }),
+};
+
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), validateRequest(deliveriesRequest), async (req, res) => {
+  const query = { webhookId: req.params.id };
+  if (req.query.status) query.status = req.query.status;
+  const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(req.query.limit);
+  res.json(deliveries);
+});
+
+// Sends a test event to one subscription, even if disabled or not subscribed to it
+app.post('/api/webhooks/:id/test', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) throw notFound('Webhook not found');
+  const [delivery] = await emitWebhookEvent(WEBHOOK_TEST_EVENT, {
+    webhookId: webhook._id,
+    message: 'Test delivery from the casino research app',
+  }, { webhookIds: [webhook._id] });
+  res.status(202).json(delivery);
+});
+
+// Queues a failed or delivered event again as a new delivery
+const redeliverRequest = { params: s.object({ id: objectId(), deliveryId: objectId() }) };
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireRole('admin'), validateRequest(redeliverRequest), async (req, res) => {
+  const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: req.params.id });
+  if (!original) throw notFound('Delivery not found');
+  const [delivery] = await emitWebhookEvent(original.event, original.payload.data, { webhookIds: [original.webhookId] });
+  if (!delivery) throw notFound('Webhook not found');
+  res.status(202).json(delivery);
 });
 
 // Get dashboard summary
-app.get('/api/dashboard/summary', async (req, res) => {
+app.get('/api/dashboard/summary', requireRole('viewer'), async (req, res) => {
   const totalCasinos = await Casino.countDocuments();
   const discoveredCasinos = await Casino.countDocuments({ discovered: true });
   const totalOffers = await Offer.countDocuments();
@@ -518,66 +3383,73 @@ app.get('/api/dashboard/summary', async (req, res) => {
   });
 });
 
-// Delete a specific offer
-app.delete('/api/offers/:id', async (req, res) => {
-  try {
-    const offer = await Offer.findByIdAndDelete(req.params.id);
-    if (!offer) {
-      return res.status(404).json({ error: 'Offer not found' });
-    }
-    res.json({ success: true, message: 'Offer deleted', offerId: req.params.id });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Analyze offers with AI
-app.post('/api/offers/analyze', async (req, res) => {
-  try {
-    const { currentOffers, newOffers, casinoName } = req.body;
+// LLM spend across all runs (and ad-hoc analyses) over the last `days`
+const llmUsageQuery = s.object({ days: s.integer({ min: 1, max: 365, default: 30 }) });
 
-    const prompt = `You are a casino promotions analyst. Compare these offers and determine which new offers are genuinely superior.
+app.get('/api/llm-usage', requireRole('viewer'), validateRequest({ query: llmUsageQuery }), async (req, res) => {
+  const since = new Date(Date.now() - req.query.days * 24 * 60 * 60 * 1000);
+  const usage = await summarizeLlmUsage({ at: { $gte: since } });
+  res.json({ days: req.query.days, since, ...usage });
+});
 
-Casino: ${casinoName}
+// Delete a specific offer
+app.delete('/api/offers/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const offer = await Offer.findByIdAndDelete(req.params.id);
+  if (!offer) throw notFound('Offer not found');
+  await auditAction(req, {
+    entityType: 'offer',
+    entityId: offer._id,
+    action: 'delete',
+    from: offer.reviewStatus,
+    details: { casinoName: offer.casinoName, offerName: offer.offerName, source: offer.source },
+  });
+  res.json({ success: true, message: 'Offer deleted', offerId: req.params.id });
+});
 
-Current Offers (What we already have):
-${currentOffers.map((o, i) => `${i + 1}. ${o.name} - Type: ${o.type}, Deposit: ${o.deposit}, Bonus: ${o.bonus}`).join('\n')}
+const offerReviewSchema = s.object({
+  status: s.enum(REVIEW_STATUSES),
+  notes: s.string({ optional: true }),
+});
 
-New Offers (Discovered by AI):
-${newOffers.map((o, i) => `${i + 1}. ${o.name} - Type: ${o.type}, Deposit: ${o.deposit}, Bonus: ${o.bonus}${o.description ? ', Description: ' + o.description : ''}`).join('\n')}
+// Approve, reject, request more information on, or reopen an offer
+// An illegal transition throws ReviewTransitionError, answered with a 409
+app.patch('/api/offers/:id/review', requireRole('analyst'), validateRequest({ params: idParams, body: offerReviewSchema, message: 'Invalid review' }), async (req, res) => {
+  const review = req.body;
+  const offer = await Offer.findById(req.params.id);
+  if (!offer) throw notFound('Offer not found');
+
+  const entry = setReviewStatus(offer, review.status, { actor: actorName(req.user), notes: review.notes });
+  await offer.save();
+  await AuditLog.create({ ...entry, actorId: req.user.id });
+  res.json(offer);
+});
 
-Analyze each new offer and return ONLY valid JSON in this format:
-{
-  "analysis": [
-    {
-      "offerName": "New offer name",
-      "isSuperior": true or false,
-      "reasoning": "Brief explanation why it's superior or not",
-      "recommendation": "add" or "skip"
-    }
-  ]
-}
+// Review and deletion history of an offer, newest first
+app.get('/api/offers/:id/audit', requireRole('viewer'), validateRequest({ params: idParams }), async (req, res) => {
+  const entries = await AuditLog.find({ entityType: 'offer', entityId: req.params.id }).sort({ at: -1 });
+  res.json(entries);
+});
 
-Consider:
-- Bonus percentage (higher is better)
-- Wagering requirements (lower is better)
-- Deposit requirements vs bonus amount ratio
-- Uniqueness compared to current offers
-- Value proposition for players`;
+// Analyze offers with AI. New offers that carry an `offerId` (stored by a
+// research run) get the analysis saved on their Offer document.
+// Offers are passed through as given, since their value fields feed the
+// prompt; only what the analysis relies on is required
+const analyzedOfferSchema = s.object({
+  name: s.string({ min: 1 }),
+  offerId: objectId({ optional: true }),
+}, { passthrough: true });
+
+const analyzeOffersSchema = s.object({
+  casinoName: s.string({ min: 1 }),
+  currentOffers: s.array(analyzedOfferSchema),
+  newOffers: s.array(analyzedOfferSchema, { min: 1 }),
+  runId: objectId({ optional: true }),
+});
 
-    const response = await callClaudeAPI(prompt);
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      res.json({ analysis: parsed.analysis || [] });
-    } else {
-      res.json({ analysis: [] });
-    }
-  } catch (error) {
-    console.error('Analysis error:', error);
-    res.status(500).json({ error: error.message });
-  }
+// A response that fails validation throws LlmValidationError, answered with a 502
+app.post('/api/offers/analyze', requireRole('analyst'), validateRequest({ body: analyzeOffersSchema, message: 'Invalid analysis request' }), async (req, res) => {
+  const analysis = await analyzeNewOffers(req.body);
+  res.json({ analysis });
 });
 
 // Health check endpoint
@@ -585,6 +3457,41 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// ==================== ERROR HANDLING ====================
+
+app.use('/api', (req, res) => {
+  throw notFound(`No endpoint for ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+
+// Known error classes as API errors; anything else is a 500
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  if (error instanceof AuthError) return unauthorized(error.message);
+  if (error.type === 'entity.parse.failed') return new ApiError(400, 'invalid_json', 'The request body is not valid JSON');
+  if (error.type === 'entity.too.large') return new ApiError(413, 'payload_too_large', `The request body is larger than ${error.limit} bytes`);
+  if (error instanceof mongoose.Error.CastError) return badRequest(`Invalid ${error.path}: ${JSON.stringify(error.value)}`);
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ApiError(400, 'validation_failed', 'Invalid request', Object.values(error.errors).map(e => `${e.path}: ${e.message}`));
+  }
+  if (error.code === 11000) {
+    const fields = Object.entries(error.keyValue || {}).map(([key, value]) => `${key} "${value}"`).join(', ');
+    return conflict(fields ? `A record with ${fields} already exists` : 'A record with those values already exists');
+  }
+  if (error instanceof ReviewTransitionError || error instanceof RunStartBusyError) return conflict(error.message);
+  if (error instanceof CronError) return badRequest(error.message);
+  if (error instanceof LlmValidationError) return upstreamError(error.message);
+  return null;
+}
+
+// Express 5 forwards errors thrown by async handlers here
+app.use((error, req, res, next) => {
+  const apiError = toApiError(error);
+  if (!apiError) console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  const body = errorBody(apiError || new ApiError(500, 'internal_error', 'Something went wrong on the server'));
+  if (res.headersSent) return res.end();
+  res.status(apiError?.status || 500).json(body);
+});
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
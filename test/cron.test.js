@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronError, nextCronTime, parseCron } from '../lib/cron.js';
+
+const sorted = (values) => [...values].sort((a, b) => a - b);
+
+test('steps expand over ranges, wildcards and a starting value', () => {
+  assert.deepEqual(sorted(parseCron('*/15 * * * *').minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(parseCron('0 9-17/4 * * *').hour), [9, 13, 17]);
+  assert.deepEqual(sorted(parseCron('5/20 * * * *').minute), [5, 25, 45]);
+  assert.deepEqual(sorted(parseCron('0,30 1,2 * * *').minute), [0, 30]);
+});
+
+test('month and weekday names are accepted in any case, and 7 is Sunday', () => {
+  const cron = parseCron('0 0 * JAN-mar Mon,fri');
+  assert.deepEqual(sorted(cron.month), [1, 2, 3]);
+  assert.deepEqual(sorted(cron.dayOfWeek), [1, 5]);
+  assert.deepEqual(sorted(parseCron('0 0 * * 7').dayOfWeek), [0]);
+});
+
+test('shorthands expand to their five-field form', () => {
+  const weekly = parseCron('@weekly');
+  assert.deepEqual(sorted(weekly.minute), [0]);
+  assert.deepEqual(sorted(weekly.dayOfWeek), [0]);
+  assert.equal(weekly.expression, '@weekly');
+});
+
+test('invalid fields throw a CronError', () => {
+  for (const expression of [
+    '* * * *',
+    '60 * * * *',
+    '* 24 * * *',
+    '* * 0 * *',
+    '* * * foo *',
+    '5-1 * * * *',
+    '1-2-3 * * * *',
+    '*/0 * * * *',
+    '*/5/2 * * * *',
+    '1.5 * * * *',
+  ]) {
+    assert.throws(() => parseCron(expression), CronError, expression);
+  }
+});
+
+test('the next time is strictly after the given one', () => {
+  const after = new Date(2026, 0, 1, 10, 0, 30);
+  assert.deepEqual(nextCronTime('*/15 * * * *', after), new Date(2026, 0, 1, 10, 15));
+  assert.deepEqual(nextCronTime('0 6 * * *', new Date(2026, 0, 1, 6, 0)), new Date(2026, 0, 2, 6, 0));
+  assert.deepEqual(nextCronTime('@monthly', after), new Date(2026, 1, 1, 0, 0));
+});
+
+test('restricting both day fields matches either one', () => {
+  // 2026-01-01 is a Thursday: the 15th and every Monday both qualify
+  const cron = parseCron('0 0 15 * mon');
+  assert.deepEqual(nextCronTime(cron, new Date(2026, 0, 1)), new Date(2026, 0, 5));
+  assert.deepEqual(nextCronTime(cron, new Date(2026, 0, 13)), new Date(2026, 0, 15));
+  // With only one day field restricted, it alone decides
+  assert.deepEqual(nextCronTime('0 0 * * mon', new Date(2026, 0, 1)), new Date(2026, 0, 5));
+});
+
+test('expressions that never match give null', () => {
+  assert.equal(nextCronTime('0 0 31 2 *', new Date(2026, 0, 1)), null);
+  assert.equal(nextCronTime('0 0 30 feb *', new Date(2026, 0, 1)), null);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nameSimilarity, normalizeCasinoName, resolveCasino } from '../lib/entityResolution.js';
+
+test('normalizing drops case, accents, punctuation and generic venue words', () => {
+  assert.equal(normalizeCasinoName('Borgata Hotel Casino & Spa'), 'borgata');
+  assert.equal(normalizeCasinoName('Borgata Online'), 'borgata');
+  assert.equal(normalizeCasinoName('Caesars Palace Online Casino'), 'caesar palace');
+  assert.equal(normalizeCasinoName("Harrah's Casino"), normalizeCasinoName('Harrahs'));
+  assert.equal(normalizeCasinoName('Café Casino'), 'cafe');
+});
+
+test('a name made only of generic words keeps them', () => {
+  assert.equal(normalizeCasinoName('Casino Online'), 'casino online');
+  assert.equal(normalizeCasinoName(undefined), '');
+});
+
+test('regex metacharacters in names are treated as plain text', () => {
+  assert.equal(normalizeCasinoName('BetMGM (NJ)'), 'betmgm nj');
+  assert.equal(normalizeCasinoName('Play.com Casino'), 'play');
+  assert.equal(normalizeCasinoName('Bet+ Casino'), normalizeCasinoName('Bet Plus Casino'));
+
+  const candidates = [{ name: 'BetMGM (NJ)' }, { name: 'Bet+ Casino' }, { name: 'Play.com' }];
+  assert.equal(resolveCasino('BetMGM (NJ) Online', candidates).casino.name, 'BetMGM (NJ)');
+  assert.equal(resolveCasino('Bet Plus', candidates).status, 'match');
+  assert.equal(resolveCasino('Play.com Online Casino', candidates).casino.name, 'Play.com');
+  assert.equal(resolveCasino('Ocean.* (AC)+', candidates).status, 'none');
+});
+
+test('similarity takes the best of edit distance, shared words and containment', () => {
+  assert.equal(nameSimilarity('borgata', 'borgata'), 1);
+  assert.equal(nameSimilarity('', 'borgata'), 0);
+  // One typo in nine characters
+  assert.equal(Math.round(nameSimilarity('hard rok', 'hard rock') * 1000) / 1000, 0.889);
+  // Word order doesn't matter
+  assert.equal(nameSimilarity('golden nugget', 'nugget golden'), 1);
+  // One name contained in the other scores 0.85
+  assert.equal(nameSimilarity('golden nugget', 'golden nugget atlantic city'), 0.85);
+});
+
+const candidates = [
+  { name: 'Borgata Hotel Casino & Spa' },
+  { name: 'Golden Nugget', aliases: ['GN Online'] },
+  { name: 'Hard Rock' },
+];
+
+test('names that normalize alike or score at least 0.9 match', () => {
+  const borgata = resolveCasino('Borgata Online', candidates);
+  assert.equal(borgata.status, 'match');
+  assert.equal(borgata.casino.name, 'Borgata Hotel Casino & Spa');
+  assert.equal(borgata.score, 1);
+
+  const typo = resolveCasino('Golden Nuget Casino', candidates);
+  assert.equal(typo.status, 'match');
+  assert.equal(typo.score, 0.923);
+});
+
+test('aliases match and are reported as what matched', () => {
+  const result = resolveCasino('GN Online Casino', candidates);
+  assert.equal(result.status, 'match');
+  assert.equal(result.casino.name, 'Golden Nugget');
+  assert.equal(result.matchedOn, 'GN Online');
+});
+
+test('scores between the review and match thresholds are possible duplicates', () => {
+  assert.equal(resolveCasino('Hard Rok', candidates).status, 'possible');
+  assert.equal(resolveCasino('Golden Nugget Atlantic City', candidates).status, 'possible');
+  // Thresholds can be tuned
+  assert.equal(resolveCasino('Hard Rok', candidates, { match: 0.85, review: 0.7 }).status, 'match');
+});
+
+test('names below the review threshold are new', () => {
+  const result = resolveCasino('Ocean Casino', candidates);
+  assert.equal(result.status, 'none');
+  assert.ok(result.score < 0.75);
+  assert.deepEqual(resolveCasino('Ocean Casino', []), { status: 'none', casino: null, score: 0, matchedOn: null });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareOffers, matchOffer } from '../lib/offerMatcher.js';
+
+const depositMatch = {
+  _id: 'internal-1',
+  offerName: 'Deposit Match up to $1,000',
+  offerType: 'deposit-match',
+  expectedDeposit: 1000,
+  expectedBonus: 1000,
+};
+
+test('a generic name with no amounts is not matched on offer type alone', () => {
+  const discovered = { offerName: 'New Player Bonus', offerType: 'deposit-match' };
+
+  const comparison = compareOffers(discovered, depositMatch);
+  assert.equal(comparison.score, 1);
+  assert.equal(comparison.conclusive, false);
+
+  const result = matchOffer(discovered, [depositMatch]);
+  assert.equal(result.verdict, 'new');
+  assert.equal(result.conclusive, false);
+});
+
+test('a generic name still matches when enough other fields agree', () => {
+  const discovered = { offerName: 'New Player Bonus', offerType: 'deposit-match', expectedDeposit: 1000, expectedBonus: 1000 };
+  assert.equal(matchOffer(discovered, [depositMatch]).verdict, 'existing');
+});
+
+test('a conclusive comparison outranks an inconclusive one with a higher score', () => {
+  const discovered = { offerName: '100% Deposit Match up to $1,000', offerType: 'deposit-match' };
+  const generic = { _id: 'internal-2', offerName: 'Casino Bonus', offerType: 'deposit-match' };
+
+  const result = matchOffer(discovered, [generic, depositMatch]);
+  assert.equal(result.matchedOffer.id, 'internal-1');
+  assert.equal(result.conclusive, true);
+});
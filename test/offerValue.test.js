@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeOfferValue, evaluateOffer, parseTerms } from '../lib/offerValue.js';
+
+test('parses wagering, contributions, caps, deposit, expiry and promo code', () => {
+  const terms = parseTerms(
+    '100% match up to $1,000. 15x wagering on deposit + bonus. Slots contribute 100%, table games 20%. '
+    + 'Minimum deposit $10. Expires in 30 days. Promo code: welcome1000'
+  );
+  assert.deepEqual(terms, {
+    wageringMultiplier: 15,
+    wageringBase: 'deposit+bonus',
+    gameContributions: { slots: 100, tableGames: 20 },
+    maxBonus: 1000,
+    minDeposit: 10,
+    expiryDays: 30,
+    promoCode: 'WELCOME1000',
+  });
+});
+
+test('wagering on the bonus alone, excluded games and expiry in hours', () => {
+  const terms = parseTerms('Wagering requirement of 25x the bonus. Blackjack excluded. Bonus expires after 48 hours.');
+  assert.equal(terms.wageringMultiplier, 25);
+  assert.equal(terms.wageringBase, 'bonus');
+  assert.deepEqual(terms.gameContributions, { blackjack: 0 });
+  assert.equal(terms.expiryDays, 2);
+});
+
+test('parses free spins and their value across several texts', () => {
+  assert.deepEqual(parseTerms('500 free spins valued at $0.10 each', null, 'Use bonus code SPINS500'), {
+    freeSpins: 500,
+    spinValue: 0.1,
+    promoCode: 'SPINS500',
+  });
+});
+
+test('terms with nothing to parse give no fields', () => {
+  assert.deepEqual(parseTerms('Play responsibly.'), {});
+  assert.deepEqual(parseTerms(undefined, ''), {});
+});
+
+const depositMatch = { offerType: 'deposit-match', expectedBonus: 1000, expectedDeposit: 1000 };
+
+test('bonus value is the bonus minus the cost of clearing its wagering', () => {
+  // 15x on $1,000 at a 4% house edge costs $600
+  assert.equal(computeOfferValue(depositMatch, { wageringMultiplier: 15, wageringBase: 'bonus' }).valueScore, 400);
+  // Wagering on deposit + bonus doubles the amount to play through
+  assert.equal(computeOfferValue(depositMatch, { wageringMultiplier: 15, wageringBase: 'deposit+bonus' }).valueScore, -200);
+});
+
+test('lower slot contribution raises the clearing cost, and none makes it unclearable', () => {
+  assert.equal(computeOfferValue(depositMatch, { wageringMultiplier: 15, gameContributions: { slots: 50 } }).valueScore, -200);
+  assert.equal(computeOfferValue(depositMatch, { wageringMultiplier: 15, gameContributions: { slots: 0 } }).valueScore, null);
+});
+
+test('a max bonus below the advertised amount caps the bonus', () => {
+  const { valueScore, valueBreakdown } = computeOfferValue(depositMatch, { wageringMultiplier: 15, maxBonus: 500 });
+  assert.equal(valueBreakdown.bonus, 500);
+  assert.equal(valueScore, 200);
+  assert.equal(computeOfferValue({ offerType: 'reload' }, { wageringMultiplier: 1, maxBonus: 100 }).valueScore, 96);
+});
+
+test('welcome, reload and no-deposit offers share the bonus model', () => {
+  for (const offerType of ['welcome', 'reload', 'no-deposit', 'Deposit-Match']) {
+    assert.equal(computeOfferValue({ offerType, expectedBonus: 100 }, { wageringMultiplier: 1 }).valueScore, 96, offerType);
+  }
+});
+
+test('lossback is weighted by the chance of ending down', () => {
+  const { valueScore } = computeOfferValue({ offerType: 'lossback', expectedBonus: 100 }, { wageringMultiplier: 1 });
+  assert.equal(valueScore, 48);
+});
+
+test('free spins are valued from their count and spin value', () => {
+  const offer = { offerType: 'free-spins' };
+  // 50 spins at $0.20 is $10, $9.60 expected winnings, less 4% to clear 1x
+  assert.equal(computeOfferValue(offer, { freeSpins: 50, spinValue: 0.2, wageringMultiplier: 1 }).valueScore, 9.22);
+  const assumed = computeOfferValue(offer, { freeSpins: 50, wageringMultiplier: 1 });
+  assert.equal(assumed.valueScore, 9.22);
+  assert.ok(assumed.valueBreakdown.notes.includes('assumed $0.2 per spin'));
+});
+
+test('unparseable terms fall back to the default assumptions', () => {
+  const { valueScore, valueBreakdown } = computeOfferValue(depositMatch, parseTerms('Play responsibly.'));
+  assert.equal(valueScore, 400);
+  assert.deepEqual(valueBreakdown.notes, ['assumed slots contribute 100%', 'assumed 15x wagering']);
+});
+
+test('offer types without a value model score null', () => {
+  const { valueScore, valueBreakdown } = computeOfferValue({ offerType: 'tournament' }, {});
+  assert.equal(valueScore, null);
+  assert.match(valueBreakdown.method, /no value model/);
+});
+
+test('evaluateOffer reads terms, description and name together', () => {
+  const evaluated = evaluateOffer({
+    offerName: 'Deposit Match up to $500',
+    offerType: 'deposit-match',
+    expectedBonus: 1000,
+    terms: '10x wagering. Valid for 7 days.',
+  });
+  assert.equal(evaluated.maxBonus, 500);
+  assert.equal(evaluated.wageringMultiplier, 10);
+  assert.equal(evaluated.expiryDays, 7);
+  // $500 capped bonus, 10x at 4% costs $200
+  assert.equal(evaluated.valueScore, 300);
+});
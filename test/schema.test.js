@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { s, validate, formatErrors, extractJson } from '../lib/schema.js';
+import { ApiError, errorBody, validateRequest } from '../lib/apiErrors.js';
+
+const messages = (schema, value) => formatErrors(validate(schema, value).errors);
+
+test('query strings are coerced to numbers, booleans, dates and lists', () => {
+  const query = s.object({
+    limit: s.integer({ min: 1 }),
+    minBonus: s.number(),
+    verified: s.boolean(),
+    from: s.date(),
+    status: s.array(s.enum(['active', 'stale']), { separator: ',' }),
+    state: s.array(s.string(), { single: true }),
+  });
+  const { value, errors } = validate(query, {
+    limit: '25', minBonus: '$1,500', verified: 'yes', from: '2026-01-01', status: 'Active,stale', state: 'NJ',
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    limit: 25, minBonus: 1500, verified: true, from: new Date('2026-01-01'), status: ['active', 'stale'], state: ['NJ'],
+  });
+  assert.equal(validate(s.number(), '1.5k').value, 1500);
+});
+
+test('strings are trimmed unless trim is false', () => {
+  assert.equal(validate(s.string(), '  NJ ').value, 'NJ');
+  assert.equal(validate(s.string({ trim: false }), '  secret ').value, '  secret ');
+  assert.equal(validate(s.string(), 42).value, '42');
+});
+
+test('missing values use defaults, may be optional, or are required', () => {
+  assert.equal(validate(s.integer({ default: 50 }), '').value, 50);
+  assert.deepEqual(validate(s.array(s.string(), { default: () => [] }), undefined).value, []);
+  assert.equal(validate(s.string({ optional: true }), null).value, undefined);
+  assert.deepEqual(messages(s.string(), undefined), ['(root): is required']);
+});
+
+test('enums match loosely and report the allowed values', () => {
+  const offerType = s.enum(['deposit-match', 'free-spins'], { aliases: { fs: 'free-spins' } });
+  assert.equal(validate(offerType, 'Deposit Match').value, 'deposit-match');
+  assert.equal(validate(offerType, 'FREE_SPINS').value, 'free-spins');
+  assert.equal(validate(offerType, 'fs').value, 'free-spins');
+  assert.deepEqual(messages(offerType, 'cashback'), ['(root): must be one of deposit-match, free-spins, got "cashback"']);
+});
+
+test('min, max, integer and pattern failures', () => {
+  assert.deepEqual(messages(s.string({ min: 2 }), 'a'), ['(root): must be at least 2 characters']);
+  assert.deepEqual(messages(s.string({ max: 2 }), 'abc'), ['(root): must be at most 2 characters']);
+  assert.deepEqual(messages(s.number({ min: 0 }), '-1'), ['(root): must be >= 0']);
+  assert.deepEqual(messages(s.number({ max: 10 }), 11), ['(root): must be <= 10']);
+  assert.deepEqual(messages(s.integer(), '2.5'), ['(root): must be an integer']);
+  assert.deepEqual(messages(s.number(), 'lots'), ['(root): must be a number, got "lots"']);
+  assert.deepEqual(messages(s.boolean(), 'maybe'), ['(root): must be true or false, got "maybe"']);
+  assert.deepEqual(messages(s.date(), 'soon'), ['(root): must be a date, got "soon"']);
+  assert.deepEqual(messages(s.array(s.string(), { max: 1 }), ['a', 'b']), ['(root): must contain at most 1 items']);
+  assert.deepEqual(messages(s.string({ pattern: /^[A-Z]{2}$/, patternMessage: 'must be a state' }), 'nj'), ['(root): must be a state']);
+  assert.deepEqual(messages(s.string({ pattern: /^\d+$/ }), 'x'), ['(root): must match /^\\d+$/']);
+});
+
+test('unknown keys are dropped unless the object is a passthrough', () => {
+  const shape = { name: s.string() };
+  assert.deepEqual(validate(s.object(shape), { name: 'Borgata', admin: true }).value, { name: 'Borgata' });
+  assert.deepEqual(validate(s.object(shape, { passthrough: true }), { name: ' Borgata', extra: 1 }).value, { name: 'Borgata', extra: 1 });
+});
+
+test('errors in nested objects and arrays carry their path', () => {
+  const schema = s.object({
+    source: s.object({ url: s.string(), headers: s.array(s.object({ name: s.string({ min: 1 }) })) }),
+  });
+  assert.deepEqual(messages(schema, { source: { headers: [{ name: 'a' }, {}] } }), [
+    'source.url: is required',
+    'source.headers[1].name: is required',
+  ]);
+  assert.deepEqual(messages(schema, { source: [] }), ['source: must be an object, got array']);
+  assert.deepEqual(messages(s.array(s.integer()), 'x'), ['(root): must be an array, got string']);
+});
+
+test('validateRequest replaces the request parts and fails with every problem', () => {
+  const middleware = validateRequest({
+    query: s.object({ limit: s.integer({ max: 100 }) }),
+    body: s.object({ name: s.string() }),
+    message: 'Invalid casino',
+  });
+
+  const req = { params: {}, query: { limit: '10', extra: 'x' }, body: { name: ' Ocean ' } };
+  let called = false;
+  middleware(req, {}, () => { called = true; });
+  assert.ok(called);
+  assert.deepEqual(req.query, { limit: 10 });
+  assert.deepEqual(req.body, { name: 'Ocean' });
+
+  let error;
+  try {
+    middleware({ query: { limit: '500' }, body: {} }, {}, () => {});
+  } catch (caught) {
+    error = caught;
+  }
+  assert.ok(error instanceof ApiError);
+  assert.equal(error.status, 400);
+  assert.deepEqual(errorBody(error), {
+    error: {
+      code: 'validation_failed',
+      message: 'Invalid casino',
+      details: ['query.limit: must be <= 100', 'body.name: is required'],
+    },
+  });
+});
+
+test('extractJson takes the first balanced object from a model response', () => {
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"casinos": [{"name": "Ocean"}]}\n```'), { casinos: [{ name: 'Ocean' }] });
+  assert.deepEqual(extractJson('{"a": "}"} and then {"b": 2}'), { a: '}' });
+  assert.throws(() => extractJson('no json here'), /No JSON object/);
+});